@@ -1,365 +1,3122 @@
 // ---------------------------
-// app.js — final consolidated version
-// - Reliable heat points (marker pane + visible styles)
-// - NASA GIBS raster with maxNativeZoom + clamp
-// - Keeps food/waste/polygons + NASA POWER points + chart
-// - Fallback heat test via USGS if no centroids found
+// app.js — NYC heat, food access and waste dashboard: Leaflet map, NASA POWER chart, NASA GIBS imagery
 // ---------------------------
 
 // ---------- CONFIG ----------
-const FOOD_URL  = 'https://data.ny.gov/resource/9a8c-vfzj.geojson?$limit=5000';
-const WASTE_URL = 'https://data.cityofnewyork.us/resource/8znf-7b2c.geojson?$limit=5000';
-const HEAT_URL  = 'https://data.cityofnewyork.us/resource/4mhf-duep.geojson?$limit=500';
+// Socrata (SODA) datasets are paged with $offset until a short page comes back. `?socrata=<origin>`
+// in the page URL sends every dataset request there instead, e.g. to the offline mock:
+//   node tools/mock-socrata.js   ->   index.html?socrata=http://localhost:8787
+const SOCRATA_PAGE_SIZE = 5000;
+const SOCRATA_MAX_ROWS = 100000; // paging stops here even if the dataset is larger
+const SOCRATA_ORIGIN_OVERRIDE = new URLSearchParams(location.search).get('socrata');
+const NYC_BOROUGHS = ['Manhattan', 'Bronx', 'Brooklyn', 'Queens', 'Staten Island'];
+
+// ---------- LAYER REGISTRY ----------
+// One entry per NYC dataset. Everything per-layer (loader, #controls checkbox,
+// indicator row, legend, chart bar) is generated from these definitions.
+//   source:         Socrata dataset { origin, dataset, geoColumn, geoType:'point'|'polygon', borough }
+//                   borough: { column, values (borough -> stored value), nycOnly (statewide data:
+//                   always limit to the five boroughs) }; score/date columns come from the metadata
+//   geometryFields: where the geometry lives (GeoJSON `geometry` or Socrata `the_geom`)
+//   fields:         canonical property -> fallback chain of source columns (default mapping;
+//                   users can override it per dataset, see FIELD MAPPING & SCHEMA)
+//   schema:         canonical property -> { type:'string'|'number', required } checked on load
+//   style:          L.geoJSON style for polygon/line features (points are drawn as markers only)
+//   anchor:         'surface' (default: centroid, moved inside the polygon if needed) or 'centroid'
+//   marker(value):  centroid marker style for the metric value
+//   renderer:       'canvas' draws markers on one shared canvas (dense layers), default SVG
+//   cluster:        { radius (px), disableAtZoom } — zoom-dependent clustering with count badges
+//   popup:          title property + rows of fallback chains
+//   metric:         value read per point (`field` -> point[`key`]) plus the chart bar it feeds:
+//                   `aggs` lists the CHART_AGGREGATIONS users may pick, `default` the initial one
+//   chartFields:    more chart bar choices read from feature properties (e.g. join outputs), each
+//                   { key, label, unit, digits, aggs }; picked as `<key>.<agg>`
+//   filterFields:   derived properties offered by the filter builder next to the raw columns
+//   joins:          point layers counted into this layer's polygons; results land in
+//                   feature properties as <prefix>_count, <prefix>_<key>_{mean,median,min,max,sum}
+const LAYER_DEFS = [
+  {
+    id: 'food',
+    label: 'Food Access',
+    shortLabel: 'Food',
+    source: { origin:'https://data.ny.gov', dataset:'9a8c-vfzj', geoColumn:'georeference', geoType:'point',
+      borough: { column:'county', values:{ Manhattan:'New York', Bronx:'Bronx', Brooklyn:'Kings', Queens:'Queens', 'Staten Island':'Richmond' }, nycOnly:true } },
+    color: '#00d4ff',
+    checked: true,
+    geometryFields: ['geometry', 'the_geom'],
+    fields: { name: ['businessname', 'name'], score: ['score'] },
+    schema: { name: { type:'string', required:true }, score: { type:'number' } },
+    style: { color:'#00d4ff', weight:2, fillColor:'#00d4ff', fillOpacity:0.25 },
+    marker: () => ({ radius:6, fillColor:'#00d4ff', color:'#002b3a', weight:1.2, fillOpacity:0.95 }),
+    renderer: 'canvas',
+    cluster: { radius: 60, disableAtZoom: 16 },
+    popup: { title:'name', fallbackTitle:'Food', rows: [ { fields:['score', 'type'] } ] },
+    metric: { key:'score', field:'score', label:'inspection score', unit:'', digits:2, category:'Food', aggs:['mean', 'median', 'p90', 'count'], default:'mean' }
+  },
+  {
+    id: 'heat',
+    label: 'Heat Islands',
+    shortLabel: 'Heat',
+    source: { origin:'https://data.cityofnewyork.us', dataset:'4mhf-duep', geoColumn:'the_geom', geoType:'polygon', borough: { column:'borough' } },
+    color: '#ff5e5e',
+    checked: true,
+    geometryFields: ['geometry', 'the_geom'],
+    fields: { name: ['neighborhood'], hvi_score: ['hvi_score', 'HVI', 'hvi', 'hviScore'] },
+    schema: { name: { type:'string', required:true }, hvi_score: { type:'number', required:true } },
+    style: feature => ({ color:'#ff5e5e', weight:1.2, fillColor:getHeatColor(feature.properties?.hvi_score ?? 0), fillOpacity:0.6 }),
+    marker: v => ({ radius:9, fillColor:getHeatColor(v ?? 0), color:'#111', weight:1.4, fillOpacity:0.98 }),
+    popup: {
+      title:'name', fallbackTitle:'Unknown',
+      rows: [
+        { label:'HVI', fields:['hvi_score'], empty:'N/A' },
+        { label:'Food outlets', fields:['food_count'], optional:true },
+        { label:'Food score', optional:true, value: p => p.food_score_mean === null || p.food_score_mean === undefined ? null
+            : `${p.food_score_mean.toFixed(2)} avg, ${p.food_score_median.toFixed(2)} median (${p.food_score_min}–${p.food_score_max})` },
+        { label:'Food desert share', optional:true, value: p => p.food_desert_share === null || p.food_desert_share === undefined ? null : `${(100*p.food_desert_share).toFixed(0)}%` },
+        { label:'Waste sites', fields:['waste_count'], optional:true },
+        { label:'Waste tons/day', optional:true, value: p => p.waste_count ? p.waste_tons_sum.toFixed(1) : null }
+      ]
+    },
+    filterFields: [ { key:'hvi_tier', label:'HVI tier', value: p => hviTier(p.hvi_score) } ],
+    joins: [
+      { layer:'food', prefix:'food', key:'score' },
+      { layer:'waste', prefix:'waste', key:'tons' }
+    ],
+    metric: { key:'hvi', field:'hvi_score', label:'HVI', unit:'HVI', digits:1, category:'Heat', aggs:['mean', 'median', 'p90', 'count'], default:'mean' },
+    chartFields: [
+      { key:'food_count', label:'food outlets per neighborhood', unit:'outlets', digits:1, aggs:['mean', 'median', 'p90', 'sum'] },
+      { key:'food_score_mean', label:'neighborhood food score', unit:'', digits:2, aggs:['mean', 'median'] },
+      { key:'waste_tons_sum', label:'waste tons/day per neighborhood', unit:'tons/day', digits:1, aggs:['mean', 'median', 'p90', 'sum'] },
+      { key:'waste_count', label:'waste sites per neighborhood', unit:'sites', digits:1, aggs:['mean', 'sum'] }
+    ],
+    legend: {
+      title: 'Heat Vulnerability',
+      items: [
+        { color:'#d73027', label:'> 75' },
+        { color:'#fc8d59', label:'51–75' },
+        { color:'#fee08b', label:'26–50' },
+        { color:'#ffffbf', label:'0–25' }
+      ]
+    }
+  },
+  {
+    id: 'waste',
+    label: 'Waste Sites',
+    shortLabel: 'Waste',
+    source: { origin:'https://data.cityofnewyork.us', dataset:'8znf-7b2c', geoColumn:'the_geom', geoType:'point', borough: { column:'borough' } },
+    color: '#888',
+    checked: true,
+    geometryFields: ['geometry', 'the_geom'],
+    fields: { name: ['name', 'facility'], tons_per_day: ['tons_per_day'] },
+    schema: { name: { type:'string', required:true }, tons_per_day: { type:'number' } },
+    style: { color:'#666', weight:1, fillOpacity:0.15 },
+    marker: () => ({ radius:7, fillColor:'#888', color:'#111', weight:1.2, fillOpacity:0.95 }),
+    renderer: 'canvas',
+    cluster: { radius: 40, disableAtZoom: 15 },
+    popup: { title:'name', fallbackTitle:'Unknown', rows: [ { fields:['tons_per_day', 'description'] } ] },
+    metric: { key:'tons', field:'tons_per_day', label:'tons/day', unit:'tons/day', digits:1, category:'Waste', aggs:['sum', 'mean', 'median', 'p90', 'count'], default:'sum' }
+  }
+];
+
+// chart bar aggregations over a layer's metric values (non-numeric dropped); `count` counts every
+// feature, with or without a value. The values themselves come from AGGREGATE_VALUES in pipeline.js
+const CHART_AGGREGATIONS = {
+  count:  { label:'Count', unit:'features' },
+  mean:   { label:'Mean' },
+  median: { label:'Median' },
+  sum:    { label:'Total' },
+  p90:    { label:'90th percentile' }
+};
+
+// normalization, centroids, joins and aggregates run in this worker (see PROCESSING PIPELINE)
+const PIPELINE_WORKER_URL = 'pipeline.js';
+
+// attribute filter operators; `numeric` ones only appear for all-number fields, `text` ones for the rest
+const FILTER_OPS = {
+  gte:      { label:'≥',        numeric:true,             test: (v, c) => Number(v) >= c.value },
+  lte:      { label:'≤',        numeric:true,             test: (v, c) => Number(v) <= c.value },
+  between:  { label:'between',  numeric:true,             test: (v, c) => Number(v) >= c.value && Number(v) <= c.value2 },
+  eq:       { label:'=',        numeric:true,  text:true, test: (v, c) => String(v) === String(c.value) },
+  neq:      { label:'≠',        numeric:true,  text:true, test: (v, c) => String(v) !== String(c.value) },
+  in:       { label:'in',       numeric:true,  text:true, test: (v, c) => c.values.includes(String(v)) },
+  contains: { label:'contains',                text:true, test: (v, c) => String(v).toLowerCase().includes(String(c.value).toLowerCase()) }
+};
+const FILTER_MAX_CHOICES = 40; // distinct values listed for the `in` operator
+
+// network: every attempt is aborted after FETCH_TIMEOUT_MS; network errors, timeouts, 429 and 5xx
+// are retried FETCH_RETRIES times, waiting FETCH_BACKOFF_MS * 2^n in between
+const FETCH_TIMEOUT_MS = 20000;
+const FETCH_RETRIES = 2;
+const FETCH_BACKOFF_MS = 1000;
+const SOURCE_RECENT_MS = 10*60*1000; // a failure within this long after a success only counts as degraded
+
+// user field-mapping overrides are kept in localStorage under this key
+const FIELD_MAP_STORAGE_KEY = 'nycDashboard.fieldMap';
+// responses are kept in IndexedDB keyed by request URL (query included); younger than the freshness
+// window they are used as is, older ones are shown at once while the network copy revalidates
+const CACHE_DB_NAME = 'nycDashboard';
+const CACHE_STORE = 'responses';
+const CACHE_FRESH_MINUTES = 30; // default; the Sources panel overrides it (CACHE_FRESH_STORAGE_KEY)
+const CACHE_FRESH_STORAGE_KEY = 'nycDashboard.cacheFreshMinutes';
+const CACHE_KEEP_DAYS = 30; // entries not refreshed for this long are dropped on startup
+const SCHEMA_MIN_NUMERIC_SHARE = 0.5; // below this share of numeric values a number field is flagged
+const SCHEMA_SUGGESTIONS = 3;
+
+// feature search: results listed, minimum zoom for picked features of unclustered layers
+const SEARCH_MAX_RESULTS = 8;
+const SEARCH_MIN_ZOOM = 15;
+const SEARCH_DEBOUNCE_MS = 150; // search once typing pauses
+
+// default POWER window (YYYYMMDD); the dashboard date pickers override it
+const NASA_POWER_START = '20250601';
+const NASA_POWER_END   = '20250831';
+const NASA_POWER_BASE  = 'https://power.larc.nasa.gov/api/temporal/daily/point';
+
+// selectable POWER daily parameters
+const POWER_PARAMETERS = {
+  T2M_MAX:           { label:'Max Temp', unit:'°C', color:'#ff5e5e' },
+  T2M_MIN:           { label:'Min Temp', unit:'°C', color:'#00d4ff' },
+  T2M:               { label:'Mean Temp', unit:'°C', color:'#ffb347' },
+  RH2M:              { label:'Relative Humidity', unit:'%', color:'#7fdbff' },
+  PRECTOTCORR:       { label:'Precipitation', unit:'mm/day', color:'#4d79ff' },
+  ALLSKY_SFC_SW_DWN: { label:'Solar Irradiance', unit:'kWh/m²/day', color:'#ffd24d' },
+  WS2M:              { label:'Wind Speed (2 m)', unit:'m/s', color:'#b0e57c' }
+};
+
+const NYC_CENTER = { lat:40.7128, lon:-74.0060 };
+const POWER_MAX_PINS = 6;
+const POWER_REQUEST_CACHE_MAX = 64; // recent POWER responses kept in memory
+const POWER_LOCATION_COLORS = ['#ffd24d', '#b0e57c', '#ff9ff3', '#7fdbff', '#ffb347', '#c39bd3', '#f5f5f5'];
+const POWER_PARAM_DASHES = ['solid', 'dot', 'dash', 'dashdot', 'longdash', 'longdashdot', 'solid'];
+const NYC_POWER_POINTS = [
+  { name:'Manhattan', lat:40.7831, lon:-73.9712 },
+  { name:'Brooklyn', lat:40.6782, lon:-73.9442 },
+  { name:'Queens', lat:40.7282, lon:-73.7949 },
+  { name:'Bronx', lat:40.8448, lon:-73.8648 },
+  { name:'Staten Island', lat:40.5795, lon:-74.1502 }
+];
+
+// GIBS WMTS products: `level` is the GoogleMapsCompatible tile matrix (= deepest native zoom),
+// `format` the tile extension. Non-true-color products are drawn semi-transparent.
+const GIBS_PRODUCTS = {
+  VIIRS_SNPP_CorrectedReflectance_TrueColor:  { label:'VIIRS True Color', level:9, format:'jpg', opacity:1 },
+  MODIS_Terra_CorrectedReflectance_TrueColor: { label:'MODIS Terra True Color', level:9, format:'jpg', opacity:1 },
+  MODIS_Terra_Land_Surface_Temp_Day:          { label:'MODIS Terra Land Surface Temp (Day)', level:7, format:'png', opacity:0.75 },
+  MODIS_Terra_Land_Surface_Temp_Night:        { label:'MODIS Terra Land Surface Temp (Night)', level:7, format:'png', opacity:0.75 },
+  MODIS_Aqua_Land_Surface_Temp_Day:           { label:'MODIS Aqua Land Surface Temp (Day)', level:7, format:'png', opacity:0.75 },
+  MODIS_Terra_NDVI_8Day:                      { label:'MODIS Terra NDVI (8-day)', level:9, format:'png', opacity:0.75 },
+  MODIS_Terra_EVI_8Day:                       { label:'MODIS Terra EVI (8-day)', level:9, format:'png', opacity:0.75 },
+  VIIRS_SNPP_DayNightBand_ENCC:               { label:'VIIRS Night Lights', level:8, format:'png', opacity:0.85 }
+};
+const GIBS_DEFAULT_PRODUCT = 'VIIRS_SNPP_CorrectedReflectance_TrueColor';
+const GIBS_ANIMATION_DAYS = 30;  // time slider covers this many days ending at the picked date
+const GIBS_FRAME_MS = 1500;
+
+// Composite equity index: each factor is min-max scaled across neighborhoods (inverted
+// where "more" is better) and combined with the slider weights into a 0–100 score.
+const EQUITY_FACTORS = [
+  { id:'heat',  label:'Heat vulnerability', weight:40, value: n => n.hvi },
+  { id:'food',  label:'Poor food access',   weight:30, value: n => n.areaKm2 ? n.foodCount / n.areaKm2 : null, invert:true },
+  { id:'waste', label:'Waste burden',       weight:30, value: n => n.wasteTons }
+];
+const EQUITY_CLASSES = [
+  { min:80, color:'#b30000', label:'80–100' },
+  { min:60, color:'#e34a33', label:'60–80' },
+  { min:40, color:'#fc8d59', label:'40–60' },
+  { min:20, color:'#fdcc8a', label:'20–40' },
+  { min:0,  color:'#fef0d9', label:'0–20' }
+];
+const EQUITY_TOP_N = 10;
+
+// food desert grid analysis (distances in miles)
+const NYC_BOUNDS = [[40.49, -74.26], [40.92, -73.69]]; // [[south, west], [north, east]]
+const FOOD_DESERT_THRESHOLDS = [0.25, 0.5, 1];
+const FOOD_DESERT_CELLS = [0.1, 0.25, 0.5];
+const FOOD_DESERT_DEFAULTS = { thresholdMi: 0.5, cellMi: 0.25 };
+const FOOD_DESERT_MAX_MI = 2 * Math.max(...FOOD_DESERT_THRESHOLDS); // nearest-outlet search radius
+
+// heatwave detection on the NYC_CENTER series: runs of >= minDays days whose daily value is at
+// or above the threshold. `heatIndex` is the NWS (Rothfusz) heat index from the daily max
+// temperature and mean humidity, in °F like the NWS advisory criteria.
+const HEATWAVE_METHODS = {
+  tmax:      { label:'Max temp',   parameters:['T2M_MAX', 'T2M_MIN'], unit:'°C', threshold:32 },
+  heatIndex: { label:'Heat index', parameters:['T2M_MAX', 'RH2M'],    unit:'°F', threshold:95 }
+};
+const HEATWAVE_DEFAULTS = { method:'tmax', threshold:32, nightThreshold:null, minDays:3 };
+const HEATWAVE_FLAG_TOP_N = 5; // highest-HVI neighborhoods listed for cooling centers during any heatwave
+
+// interpolated temperature surface: POWER samples every SPACING degrees over NYC_BOUNDS,
+// IDW onto a TEMP_SURFACE_CELL_MI grid. POWER's native grid is ~0.5°, so dense spacings
+// mostly show its own interpolation between neighbouring cells.
+const TEMP_SURFACE_PARAMETERS = ['T2M_MAX', 'T2M', 'T2M_MIN'];
+const TEMP_SURFACE_SPACINGS = [0.05, 0.1, 0.2];
+const TEMP_SURFACE_POWERS = [1, 2, 3];
+const TEMP_SURFACE_DEFAULTS = { parameter: 'T2M_MAX', spacingDeg: 0.1, idwPower: 2 };
+const TEMP_SURFACE_CELL_MI = 0.25;
+const TEMP_SURFACE_CONCURRENCY = 4; // parallel POWER requests while sampling
+// sample sites per surface: below POWER_REQUEST_CACHE_MAX (with room for the chart, pins and
+// the borough points), so regenerating the surface finds every sample still in memory
+const TEMP_SURFACE_MAX_SAMPLES = 48;
+const TEMP_SURFACE_RAMP = [[49, 54, 149], [116, 173, 209], [255, 255, 191], [253, 174, 97], [165, 0, 38]];
+
+// waste facility buffer rings (meters)
+const WASTE_BUFFER_DEFAULT_RADII = [250, 500, 1000];
+const WASTE_BUFFER_COLORS = ['#ff7b00', '#ffb000', '#ffe08a'];
+
+// draw-to-select region analysis: heat-zone overlap is estimated on a SAMPLES×SAMPLES grid
+const REGION_SAMPLES = 60;
+const REGION_SCORE_BINS = 5;
+
+// ---------- MAP INIT ----------
+const map = L.map('map').setView([40.7128, -74.0060], 11);
+L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+  maxZoom: 19,
+  attribution: '&copy; OpenStreetMap contributors'
+}).addTo(map);
+
+// Create a dedicated pane for point markers so they render above polygons
+if (!map.getPane('markerPane')) {
+  map.createPane('markerPane');
+  map.getPane('markerPane').style.zIndex = 650; // above overlayPane (400) and markerPane default (600)
+  map.getPane('markerPane').style.pointerEvents = 'auto';
+}
+
+// one canvas for all dense point layers (see LAYER_DEFS `renderer`)
+const markerCanvasRenderer = L.canvas({ pane:'markerPane', padding:0.3 });
+
+// ---------- LAYERS & STATE ----------
+// runtime state per LAYER_DEFS entry:
+//   { layer, raw:[source features], features:[normalized GeoJSON], points:[{name, lat, lon, <metric.key>, feature}],
+//     toggleEl, schemaReport, quality (see assessLayerQuality), controller (AbortController of the running load),
+//     load: { url, rows, pages, select, where, truncated } of the last successful fetch,
+//     buildSeq/joinSeq: bumped per build/join run so results of a superseded run are dropped }
+const layerState = {};
+LAYER_DEFS.forEach(def => { layerState[def.id] = { layer: null, raw: [], features: [], points: [], toggleEl: null, schemaReport: null, quality: null, controller: null, load: null, buildSeq: 0, joinSeq: 0 }; });
+
+// server-side query per layer (see buildSoqlWhere); columns = Socrata metadata, fetched once
+const socrataQueries = {};
+LAYER_DEFS.forEach(def => { socrataQueries[def.id] = { borough: '', since: '', min: '', inView: false, select: true }; });
+const socrataColumnsCache = new Map(); // layer id -> Promise<[{ fieldName, dataTypeName }] | null>
+
+// active attribute filters per layer id: [{ field, op, value, value2, values }], AND-ed together
+const layerFilters = {};
+LAYER_DEFS.forEach(def => { layerFilters[def.id] = []; });
+
+// one row per heat-vulnerability polygon with the joined food/waste numbers (see runSpatialJoins)
+const neighborhoodStats = [];
+
+let nasaRasterLayer = null;
+let equityLayer = null;
+let foodDesertLayer = null;
+let foodDesertLegend = null;
+let tempSurfaceLayer = null;
+let tempSurfaceLegend = null;
+let wasteBufferLayer = null;
+let regionLayer = null; // drawn shapes (Leaflet.draw feature group)
+let searchHighlightLayer = null; // outline + ring around the last picked search result
+let equityLegend = null;
+let nasaPowerPointsLayer = null;
+
+let chartReady = false;
+let permalinkTimer = null;
+let lastPermalinkHash = '';
+// chart bar choice per layer id (one of chartMetricChoices(def))
+const chartMetricChoice = {};
+LAYER_DEFS.forEach(def => { chartMetricChoice[def.id] = def.metric.default; });
+let viewportStats = false; // when true, chart bars + indicator counts only use features inside the map view
+
+// current POWER selection; `version` bumps on every change so stale responses are dropped
+const powerQuery = { start: NASA_POWER_START, end: NASA_POWER_END, parameters: ['T2M_MAX', 'T2M_MIN'], version: 0 };
+const powerRequestCache = new Map(); // url -> Promise<payload>, shared by chart + points; least recently used first
+let powerAbort = new AbortController(); // aborted (and replaced) whenever the POWER selection changes
+let powerRefreshTimer = null;
+let powerRedrawTimer = null;
+let chartRenderSeq = 0;      // only the newest renderChart call may draw
+let aggregateSeq = 0;        // same for updateAggregatesChart
+let regionStatsSeq = 0;      // and for the region panel (showRegionStats)
+
+// extra chart locations besides NYC_CENTER: pinned ones stay, the preview is replaced by the next click
+const pinnedPowerLocations = []; // { name, lat, lon, color }
+let powerPreviewLocation = null;
+let mapDrawing = false;      // Leaflet.draw is capturing clicks
+
+let toggleNASARasterEl, toggleNASAGeoEl;
+let refreshFilterFields = () => {}; // set by wireFilterControls; rebuilds the field list when a layer's data changes
+
+// per data source: { label, status: idle|loading|ok|degraded|failed, lastSuccess, error, retry }
+const sourceHealth = {};
+
+// food desert analysis: last computed grid + zone shares (see runFoodDesertAnalysis)
+const foodDesertState = Object.assign({ enabled: false, grid: null, zones: [], version: 0 }, FOOD_DESERT_DEFAULTS);
+
+// heatwave events from the last chart render: [{ start, end, days, peak }] (ISO dates)
+const heatwaveState = Object.assign({ events: [], lastDate: null }, HEATWAVE_DEFAULTS);
+
+// temperature surface: samples = [{lat, lon, value}] from the POWER grid or a local file
+const tempSurfaceState = Object.assign({ enabled: false, source: 'power', fileName: null, samples: [], grid: null, min: NaN, max: NaN, version: 0, interpolation: 0 }, TEMP_SURFACE_DEFAULTS);
+
+// waste buffer exposure: radii in meters, rows = one per facility (see runWasteExposure)
+const wasteBufferState = { enabled: false, radii: WASTE_BUFFER_DEFAULT_RADII.slice(), rows: [], summary: [], version: 0 };
+
+// GIBS selection: `anchor` is the picked date (slider end), `date` the frame currently shown.
+// Today's granules are often incomplete, so default to yesterday.
+const gibsState = { product: GIBS_DEFAULT_PRODUCT, anchor: addDaysISO(new Date().toISOString().slice(0,10), -1), date: null, timer: null };
+gibsState.date = gibsState.anchor;
+
+// ---------- HELPERS ----------
+function safeLayerGroup(){ return L.layerGroup(); }
+function dbg(...a){ console.debug('[APP]', ...a); }
+function wrn(...a){ console.warn('[APP]', ...a); }
+// for data-derived text (remote columns, saved settings) placed into innerHTML or an attribute
+function escapeHtml(s){
+  return String(s).replace(/[&<>"']/g, ch => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[ch]);
+}
+
+function getLayerCount(layer){
+  try {
+    if (!layer || typeof layer.getLayers !== 'function') return 0;
+    if (layer.clusterEntries) return layer.clusterEntries.length; // every feature, not just the drawn clusters
+    return layer.getLayers().reduce((acc, child) => {
+      if (child && typeof child.getLayers === 'function') return acc + getLayerCount(child);
+      const isMarker = (child instanceof L.Marker) || (child instanceof L.CircleMarker);
+      return acc + (isMarker ? 1 : 0);
+    }, 0);
+  } catch(e){ wrn('getLayerCount err', e); return 0; }
+}
+
+// runs fn over items with at most `limit` calls in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn){
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length){ const i = next++; out[i] = await fn(items[i], i); }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+function abortError(){ return new DOMException('Aborted', 'AbortError'); }
+function isAbortError(err){ return err?.name === 'AbortError'; }
+
+function sleep(ms, signal){
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(abortError()); return; }
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(t); reject(abortError()); }, { once: true });
+  });
+}
+
+// GET + JSON parse with a per-attempt timeout and retries with backoff (see FETCH_*);
+// `signal` cancels the whole thing. -> { data, attempts }
+async function fetchJson(url, { signal, timeoutMs = FETCH_TIMEOUT_MS, retries = FETCH_RETRIES } = {}){
+  for (let attempt = 1; ; attempt++){
+    if (signal?.aborted) throw abortError();
+    const ctrl = new AbortController();
+    const cancel = () => ctrl.abort();
+    signal?.addEventListener('abort', cancel);
+    const timer = setTimeout(cancel, timeoutMs);
+    try {
+      const res = await fetch(url, { signal: ctrl.signal });
+      if (!res.ok){
+        const err = new Error(`HTTP ${res.status}`);
+        err.retryable = res.status === 429 || res.status >= 500;
+        throw err;
+      }
+      return { data: await res.json(), attempts: attempt };
+    } catch(err){
+      if (signal?.aborted) throw abortError();
+      const e = ctrl.signal.aborted ? Object.assign(new Error(`timed out after ${timeoutMs/1000} s`), { retryable: true }) : err;
+      if (e.retryable === false || attempt > retries) throw e;
+      wrn(`fetch attempt ${attempt} failed (${e.message}), retrying`, url);
+      await sleep(FETCH_BACKOFF_MS * 2**(attempt - 1), signal);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+function getHeatColor(score){ return score > 75 ? '#d73027' : score > 50 ? '#fc8d59' : score > 25 ? '#fee08b' : '#ffffbf'; }
+// same breaks (and labels) as the heat legend
+function hviTier(score){
+  if (score === null || score === undefined || isNaN(Number(score))) return null;
+  return score > 75 ? '> 75' : score > 50 ? '51–75' : score > 25 ? '26–50' : '0–25';
+}
+
+// ---------- OFFLINE CACHE ----------
+let cacheDbPromise = null;
+
+// -> IDBDatabase, or null when IndexedDB is unavailable (private mode, old browser): caching is then off
+function openCacheDb(){
+  if (!cacheDbPromise) cacheDbPromise = new Promise(resolve => {
+    if (!window.indexedDB) { wrn('IndexedDB unavailable, responses will not be cached'); resolve(null); return; }
+    const req = indexedDB.open(CACHE_DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { wrn('IndexedDB open failed, responses will not be cached', req.error); resolve(null); };
+    req.onblocked = () => { wrn('IndexedDB blocked by another tab, responses will not be cached'); resolve(null); };
+  });
+  return cacheDbPromise;
+}
+
+// runs fn(store) in one transaction -> the request's result; cache errors are logged, never thrown
+async function cacheTransaction(mode, fn){
+  const db = await openCacheDb();
+  if (!db) return null;
+  return new Promise(resolve => {
+    let req;
+    try {
+      const tx = db.transaction(CACHE_STORE, mode);
+      req = fn(tx.objectStore(CACHE_STORE));
+      tx.oncomplete = () => resolve(req?.result ?? null);
+      tx.onerror = tx.onabort = () => { wrn('response cache', mode, 'failed', tx.error); resolve(null); };
+    } catch(err){ wrn('response cache', mode, 'failed', err); resolve(null); }
+  });
+}
+
+function cacheGet(key){ return cacheTransaction('readonly', store => store.get(key)); }
+function cachePut(key, data, fetchedAt){ return cacheTransaction('readwrite', store => store.put({ key, data, fetchedAt })); }
+function cacheClear(){ return cacheTransaction('readwrite', store => store.clear()); }
+
+function pruneCache(){
+  const cutoff = Date.now() - CACHE_KEEP_DAYS*864e5;
+  return cacheTransaction('readwrite', store => {
+    const cursorReq = store.openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor) return;
+      if (cursor.value.fetchedAt < cutoff) cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+function cacheFreshMs(){
+  const minutes = Number(localStorage.getItem(CACHE_FRESH_STORAGE_KEY));
+  return (localStorage.getItem(CACHE_FRESH_STORAGE_KEY) !== null && isFinite(minutes) && minutes >= 0 ? minutes : CACHE_FRESH_MINUTES) * 60*1000;
+}
+
+// stale-while-revalidate around `fetcher` (-> { data, attempts }), keyed by the request URL.
+// -> { data, attempts, fetchedAt: Date, fromCache, stale }
+//   fresh entry: returned, no request. stale entry: returned at once; the network copy is fetched in the
+//   background and handed to onFresh(result), or its error to onStaleError(err) (e.g. offline).
+//   no entry: plain fetch, stored on success.
+async function cachedJson(key, fetcher, { onFresh, onStaleError } = {}){
+  const entry = await cacheGet(key);
+  const network = () => fetcher().then(res => {
+    const fetchedAt = Date.now();
+    cachePut(key, res.data, fetchedAt);
+    return Object.assign({}, res, { fetchedAt: new Date(fetchedAt), fromCache: false, stale: false });
+  });
+  if (!entry) return network();
+  const stale = Date.now() - entry.fetchedAt >= cacheFreshMs();
+  if (stale){
+    network().then(res => onFresh?.(res), err => {
+      if (isAbortError(err)) return;
+      wrn('revalidation failed, keeping cached copy', key, err.message);
+      onStaleError?.(err);
+    });
+  }
+  return { data: entry.data, attempts: 0, fetchedAt: new Date(entry.fetchedAt), fromCache: true, stale };
+}
+
+function formatAsOf(date){
+  if (!date) return '';
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay ? date.toLocaleTimeString([], { hour:'2-digit', minute:'2-digit' }) : date.toLocaleString([], { dateStyle:'medium', timeStyle:'short' });
+}
+
+function wireCacheControls(){
+  const freshEl = document.getElementById('cacheFreshMinutes');
+  const clearBtn = document.getElementById('cacheClear');
+  if (freshEl){
+    freshEl.value = cacheFreshMs() / 60000;
+    freshEl.addEventListener('change', () => {
+      const minutes = Number(freshEl.value);
+      if (freshEl.value === '' || !isFinite(minutes) || minutes < 0) { freshEl.value = cacheFreshMs() / 60000; return; }
+      try { localStorage.setItem(CACHE_FRESH_STORAGE_KEY, String(minutes)); }
+      catch(e){ wrn('cache freshness not saved', e); }
+    });
+  }
+  if (clearBtn) clearBtn.addEventListener('click', async () => {
+    await cacheClear();
+    dbg('response cache cleared');
+  });
+  pruneCache();
+}
+
+// ---------- PROCESSING PIPELINE ----------
+// PIPELINE_TASKS (pipeline.js) run in a Web Worker so large datasets don't freeze the page. Where
+// workers are unavailable (file:// pages, a worker that fails to load) the same tasks run inline.
+const pipeline = { worker: null, jobs: new Map(), nextJob: 1 };
+
+function startPipelineWorker(){
+  if (typeof Worker === 'undefined') { wrn('Web Workers unavailable, processing on the main thread'); return; }
+  try { pipeline.worker = new Worker(PIPELINE_WORKER_URL); }
+  catch(err){ wrn('pipeline worker unavailable, processing on the main thread', err.message); return; }
+  pipeline.worker.onmessage = e => {
+    const { job, progress, result, error } = e.data;
+    const j = pipeline.jobs.get(job);
+    if (!j) return;
+    if (progress) { j.onProgress?.(progress.done, progress.total); return; }
+    pipeline.jobs.delete(job);
+    if (error) j.reject(new Error(error)); else j.resolve(result);
+  };
+  // the script failed to load or crashed: finish what was queued inline and stay there
+  pipeline.worker.onerror = e => {
+    e.preventDefault?.();
+    wrn('pipeline worker failed, processing on the main thread', e.message);
+    pipeline.worker.terminate();
+    pipeline.worker = null;
+    const pending = [...pipeline.jobs.values()];
+    pipeline.jobs.clear();
+    pending.forEach(runPipelineInline);
+  };
+}
+
+function runPipelineInline(j){
+  setTimeout(() => { // stay async like the worker path
+    try { j.resolve(PIPELINE_TASKS[j.task](j.payload, j.onProgress || (() => {}))); }
+    catch(err){ j.reject(err); }
+  }, 0);
+}
+
+// -> Promise of the task's result; onProgress(done, total) while it runs
+function runPipelineTask(task, payload, onProgress){
+  return new Promise((resolve, reject) => {
+    const j = { task, payload, onProgress, resolve, reject };
+    if (!pipeline.worker) { runPipelineInline(j); return; }
+    const job = pipeline.nextJob++;
+    pipeline.jobs.set(job, j);
+    pipeline.worker.postMessage({ job, task, payload });
+  });
+}
+
+// the cloneable part of a layer def the normalize task needs
+function pipelineSpec(def){
+  return { id: def.id, geometryFields: def.geometryFields, anchor: def.anchor, metricField: def.metric.field };
+}
+
+// per-layer progress next to the layer toggle; fraction null = indeterminate, text null = hide
+function setLayerProgress(def, text, fraction = null){
+  const box = document.getElementById(`layer-progress-${def.id}`);
+  if (!box) return;
+  box.hidden = text === null;
+  if (text === null) return;
+  const bar = box.querySelector('progress');
+  if (fraction === null) bar.removeAttribute('value'); else bar.value = fraction;
+  box.querySelector('small').textContent = text;
+}
+
+// ---------- LOAD LAYERS ----------
+function buildPopup(def, props){
+  const p = def.popup;
+  const title = props?.[p.title] ?? p.fallbackTitle;
+  const rows = [];
+  (p.rows || []).forEach(r => {
+    const raw = r.value ? r.value(props || {}) : readField(props, r.fields);
+    if (r.optional && (raw === null || raw === undefined)) return;
+    const v = raw ?? r.empty ?? '';
+    rows.push(r.label ? `${r.label}: ${v}` : `${v}`);
+  });
+  return [`<strong>${title}</strong>`, ...rows].join('<br>');
+}
+
+async function loadRegisteredLayer(def){
+  const state = layerState[def.id];
+  state.controller?.abort(); // a reload replaces any load still running
+  const controller = state.controller = new AbortController();
+  markSourceLoading(def.id);
+  setLayerProgress(def, 'loading…');
+  // the controller stays set while a background revalidation runs, so the next load can abort it
+  let revalidating = false;
+  const release = () => { if (state.controller === controller) state.controller = null; };
+  try {
+    const result = await fetchSocrataFeatures(def, {
+      signal: controller.signal,
+      // a stale cached copy is on the map already; swap in the network copy once it arrives
+      onFresh: async fresh => {
+        if (state.controller !== controller) return; // a newer load (e.g. another query) took over
+        const old = state.layer;
+        try {
+          if (!await applyLayerData(def, fresh)) return;
+        } catch(err){ console.error(`${def.label} revalidation failed`, err); setLayerProgress(def, null); return; }
+        finally { release(); }
+        swapRegisteredLayer(def, old);
+        updateAllAggregatesAndChart();
+      },
+      onStaleError: err => {
+        if (state.controller !== controller) return;
+        release();
+        setLayerProgress(def, null);
+        recordSourceFailure(def.id, new Error(`${err.message}; showing cached data`));
+      }
+    });
+    revalidating = result.load.stale;
+    await applyLayerData(def, result);
+  } catch (err){
+    if (isAbortError(err)) return;
+    console.error(`${def.label} load error`, err);
+    setLayerProgress(def, null);
+    if (!state.layer) state.layer = safeLayerGroup(); // keep what a previous load produced
+    recordSourceFailure(def.id, err);
+  } finally {
+    if (!revalidating) release();
+    updateAllAggregatesAndChart();
+  }
+}
+
+// -> false when a newer build took over while this one was processing
+async function applyLayerData(def, { features, attempts, load }){
+  const state = layerState[def.id];
+  dbg(`${def.id} ${load.fromCache ? 'from cache' : 'fetched'}`, `${features.length} features in ${load.pages} pages, as of ${load.fetchedAt.toISOString()}`);
+  state.raw = features;
+  state.load = load;
+  if (!await buildRegisteredLayer(def)) return false;
+  renderSocrataStatus();
+  const note = !state.points.length ? 'no usable features'
+    : load.truncated ? `stopped at ${SOCRATA_MAX_ROWS} rows`
+    : attempts > 1 ? `needed ${attempts} attempts` : null;
+  recordSourceSuccess(def.id, { degraded: !!note, note, asOf: load.fetchedAt });
+  return true;
+}
+
+function swapRegisteredLayer(def, old){
+  const state = layerState[def.id];
+  if (state.layer === old) return;
+  if (old && map.hasLayer(old)) map.removeLayer(old);
+  if (state.toggleEl?.checked) map.addLayer(state.layer);
+}
+
+// retry path: fetch again and swap the new layer in for the old one
+async function reloadRegisteredLayer(def){
+  const old = layerState[def.id].layer;
+  await loadRegisteredLayer(def);
+  swapRegisteredLayer(def, old);
+}
+
+// validates + normalizes state.raw with the current field mapping and (re)builds the layer;
+// normalization and centroids run in the pipeline. -> false when a newer build superseded this one
+async function buildRegisteredLayer(def){
+  const state = layerState[def.id];
+  const seq = ++state.buildSeq;
+  const raw = state.raw;
+  const fieldMap = layerFieldMap(def);
+  state.schemaReport = validateLayerSchema(def, raw, fieldMap);
+  renderSchemaReport();
+
+  setLayerProgress(def, `processing ${raw.length} features…`, 0);
+  const out = await runPipelineTask('normalize', { spec: pipelineSpec(def), raw, fieldMap },
+    (done, total) => { if (seq === state.buildSeq) setLayerProgress(def, `processing ${raw.length} features…`, done/total); });
+  if (seq !== state.buildSeq) return false;
+
+  state.points.length = 0;
+  state.features.length = 0;
+  out.features.forEach((n, k) => {
+    Object.defineProperty(n, 'sourceIndex', { value: out.sourceIndex[k] }); // non-enumerable: stays out of exports
+    state.features.push(n);
+  });
+  out.points.forEach(p => state.points.push({ name: p.name, lat: p.lat, lon: p.lon, [def.metric.key]: p.value, feature: state.features[p.feature] }));
+  const skipped = out.skipped.map(s => Object.assign(s, { record: raw[s.index] }));
+  state.quality = assessLayerQuality(def, skipped);
+  renderDataQuality();
+
+  state.layer = L.layerGroup(buildLayerContents(def));
+  dbg(`${def.id} layer ready — markers:`, getLayerCount(state.layer), 'points:', state.points.length);
+  setLayerProgress(def, null);
+  refreshFilterFields(def.id);
+
+  try { await runSpatialJoins(def.id); }
+  catch(err){ console.error('spatial join failed', err); }
+  return true;
+}
+
+// polygons/lines + point markers for the features passing the layer's filters;
+// state.points stays complete for the joins and analyses
+function buildLayerContents(def){
+  const state = layerState[def.id];
+  // point features are only drawn through the marker layer below
+  const geo = L.geoJSON({ type:'FeatureCollection', features: state.features }, {
+    style: def.style,
+    filter: f => !/Point$/.test(f.geometry?.type ?? '') && passesLayerFilters(def, f),
+    onEachFeature: (f, l) => l.bindPopup(buildPopup(def, f.properties))
+  });
+  const entries = state.points.filter(p => passesLayerFilters(def, p.feature))
+    .map(p => ({ latlng: L.latLng(p.lat, p.lon), feature: p.feature, value: p[def.metric.key] }));
+  const pointLayer = def.cluster ? createClusteredPointLayer(def, entries) : createPointLayer(def, entries);
+  return [geo, pointLayer];
+}
+
+// ---------- SOCRATA QUERY ----------
+function socrataResourceUrl(def){ return `${SOCRATA_ORIGIN_OVERRIDE || def.source.origin}/resource/${def.source.dataset}.geojson`; }
+function soqlString(v){ return `'${String(v).replace(/'/g, "''")}'`; }
+
+// dataset columns from the Socrata metadata API; null when unavailable ($select/score/date pushdown are skipped then)
+function fetchSocrataColumns(def, signal){
+  if (!socrataColumnsCache.has(def.id)){
+    const url = `${SOCRATA_ORIGIN_OVERRIDE || def.source.origin}/api/views/${def.source.dataset}.json`;
+    const req = cachedJson(url, () => fetchJson(url, { signal, retries: 1 }))
+      .then(({ data }) => data?.columns?.length ? data.columns.map(c => ({ fieldName: c.fieldName, dataTypeName: c.dataTypeName })) : null)
+      .catch(err => {
+        socrataColumnsCache.delete(def.id);
+        if (isAbortError(err)) throw err;
+        wrn(`${def.id} Socrata metadata unavailable`, err.message);
+        return null;
+      });
+    socrataColumnsCache.set(def.id, req);
+  }
+  return socrataColumnsCache.get(def.id);
+}
+
+// every source column the app reads: mapped fields, popup rows, borough, the geometry
+function socrataNeededColumns(def, columns){
+  const cols = new Set([socrataGeoColumn(def, columns)]);
+  Object.values(layerFieldMap(def)).forEach(chain => chain.forEach(c => cols.add(c)));
+  (def.popup.rows || []).forEach(r => (r.fields || []).forEach(c => cols.add(c)));
+  if (def.source.borough) cols.add(def.source.borough.column);
+  return [...cols];
+}
+
+// the metric's source column (first of its field chain the dataset has) and the first date column
+function socrataScoreColumn(def, columns){
+  const names = columns.map(c => c.fieldName);
+  return (layerFieldMap(def)[def.metric.field] || [def.metric.field]).find(c => names.includes(c)) ?? null;
+}
+// declared geometry column, else the first geometry-typed one in the metadata
+function socrataGeoColumn(def, columns){
+  if (!columns || columns.some(c => c.fieldName === def.source.geoColumn)) return def.source.geoColumn;
+  return columns.find(c => /^(point|location|multipoint|polygon|multipolygon)$/i.test(c.dataTypeName))?.fieldName ?? def.source.geoColumn;
+}
+function socrataDateColumn(columns){
+  return columns.find(c => /^(calendar_date|floating_timestamp|date)$/i.test(c.dataTypeName))?.fieldName ?? null;
+}
+
+function soqlBoxClause(def, columns){
+  const b = map.getBounds();
+  const [n, s, e, w] = [b.getNorth(), b.getSouth(), b.getEast(), b.getWest()].map(v => v.toFixed(6));
+  const col = socrataGeoColumn(def, columns);
+  return def.source.geoType === 'polygon'
+    ? `intersects(${col}, 'POLYGON((${w} ${s}, ${e} ${s}, ${e} ${n}, ${w} ${n}, ${w} ${s}))')`
+    : `within_box(${col}, ${n}, ${w}, ${s}, ${e})`;
+}
+
+// -> $where for the layer's query (clauses AND-ed) or null
+function buildSoqlWhere(def, q, columns){
+  const clauses = [];
+  const borough = def.source.borough;
+  if (borough){
+    const stored = name => borough.values?.[name] ?? name;
+    if (q.borough) clauses.push(`${borough.column} = ${soqlString(stored(q.borough))}`);
+    else if (borough.nycOnly) clauses.push(`${borough.column} in (${NYC_BOROUGHS.map(b => soqlString(stored(b))).join(', ')})`);
+  }
+  const dateCol = columns && socrataDateColumn(columns);
+  if (q.since && dateCol) clauses.push(`${dateCol} >= ${soqlString(`${q.since}T00:00:00`)}`);
+  const scoreCol = columns && socrataScoreColumn(def, columns);
+  if (q.min !== '' && isFinite(Number(q.min)) && scoreCol) clauses.push(`${scoreCol} >= ${Number(q.min)}`);
+  if (q.inView) clauses.push(soqlBoxClause(def, columns));
+  return clauses.length ? clauses.join(' AND ') : null;
+}
+
+function buildSocrataUrl(def, { select, where }, offset){
+  const params = new URLSearchParams();
+  if (select) params.set('$select', select.join(','));
+  if (where) params.set('$where', where);
+  params.set('$order', ':id'); // stable order, or pages may overlap
+  params.set('$limit', SOCRATA_PAGE_SIZE);
+  params.set('$offset', offset);
+  return `${socrataResourceUrl(def)}?${params}`;
+}
+
+// pages through the whole (filtered) dataset -> { features, attempts, load }; cached as a whole under
+// the first page's URL (see cachedJson; onFresh gets the revalidated result in the same shape)
+async function fetchSocrataFeatures(def, { signal, onFresh, onStaleError } = {}){
+  const q = socrataQueries[def.id];
+  const columns = await fetchSocrataColumns(def, signal);
+  const names = columns ? columns.map(c => c.fieldName) : [];
+  const select = q.select && columns ? socrataNeededColumns(def, columns).filter(c => names.includes(c)) : null;
+  const where = buildSoqlWhere(def, q, columns);
+  const url = buildSocrataUrl(def, { select, where }, 0);
+  const toResult = res => ({
+    features: res.data.features,
+    attempts: res.attempts,
+    load: { url, rows: res.data.features.length, pages: res.data.pages, select, where, truncated: res.data.truncated, columns: names, fetchedAt: res.fetchedAt, fromCache: res.fromCache, stale: res.stale }
+  });
+  const res = await cachedJson(url, () => fetchSocrataPages(def, { select, where }, signal), {
+    onFresh: fresh => onFresh?.(toResult(fresh)),
+    onStaleError
+  });
+  return toResult(res);
+}
+
+async function fetchSocrataPages(def, query, signal){
+  const features = [];
+  let attempts = 1, pages = 0, truncated = false;
+  for (let offset = 0; ; offset += SOCRATA_PAGE_SIZE){
+    const page = await fetchJson(buildSocrataUrl(def, query, offset), { signal });
+    attempts = Math.max(attempts, page.attempts);
+    const batch = page.data?.features || [];
+    features.push(...batch);
+    pages++;
+    renderSocrataStatus(def, `page ${pages}: ${features.length} rows…`);
+    setLayerProgress(def, `page ${pages}: ${features.length} rows…`);
+    if (batch.length < SOCRATA_PAGE_SIZE) break;
+    if (features.length >= SOCRATA_MAX_ROWS) { truncated = true; wrn(`${def.id}: stopped paging at`, features.length, 'rows'); break; }
+  }
+  return { data: { features, pages, truncated }, attempts };
+}
+
+function renderSocrataStatus(busyDef, busyText){
+  const box = document.getElementById('soql-status');
+  if (!box) return;
+  box.innerHTML = LAYER_DEFS.map(def => {
+    if (def === busyDef) return `<div>${def.shortLabel}: ${busyText}</div>`;
+    const load = layerState[def.id].load;
+    if (!load) return `<div class="muted">${def.shortLabel}: not loaded</div>`;
+    return `<div title="${escapeHtml(load.url)}">${def.shortLabel}: ${load.rows} rows in ${load.pages} page${load.pages === 1 ? '' : 's'}${load.truncated ? ' (truncated)' : ''}, as of ${formatAsOf(load.fetchedAt)}${load.where ? ` · <code>${escapeHtml(load.where)}</code>` : ''}</div>`;
+  }).join('');
+}
+
+function wireSocrataControls(){
+  const layerEl = document.getElementById('soqlLayer');
+  const boroughEl = document.getElementById('soqlBorough');
+  const sinceEl = document.getElementById('soqlSince');
+  const minEl = document.getElementById('soqlMin');
+  const inViewEl = document.getElementById('soqlInView');
+  const selectEl = document.getElementById('soqlSelect');
+  const applyBtn = document.getElementById('soqlApply');
+  if (!layerEl || !applyBtn) return;
+  const currentDef = () => LAYER_DEFS.find(d => d.id === layerEl.value);
+
+  // show the picked layer's query; score/date inputs depend on what the metadata offers
+  const syncInputs = async () => {
+    const def = currentDef(), q = socrataQueries[def.id];
+    if (boroughEl){
+      boroughEl.innerHTML = `<option value="">All boroughs</option>${NYC_BOROUGHS.map(b => `<option value="${b}">${b}</option>`).join('')}`;
+      boroughEl.value = q.borough;
+      boroughEl.disabled = !def.source.borough;
+    }
+    if (sinceEl) sinceEl.value = q.since;
+    if (minEl) minEl.value = q.min;
+    if (inViewEl) inViewEl.checked = q.inView;
+    if (selectEl) selectEl.checked = q.select;
+    const columns = await fetchSocrataColumns(def).catch(() => null);
+    if (def !== currentDef()) return;
+    if (sinceEl) sinceEl.disabled = !(columns && socrataDateColumn(columns));
+    if (minEl){
+      const scoreCol = columns && socrataScoreColumn(def, columns);
+      minEl.disabled = !scoreCol;
+      minEl.title = scoreCol ? `${scoreCol} ≥` : 'no numeric column known for this dataset';
+    }
+  };
+
+  layerEl.innerHTML = LAYER_DEFS.map(def => `<option value="${def.id}">${def.label}</option>`).join('');
+  layerEl.addEventListener('change', syncInputs);
+  applyBtn.addEventListener('click', () => {
+    const def = currentDef();
+    Object.assign(socrataQueries[def.id], {
+      borough: boroughEl?.value ?? '',
+      since: sinceEl?.value ?? '',
+      min: minEl?.value ?? '',
+      inView: !!inViewEl?.checked,
+      select: selectEl ? selectEl.checked : true
+    });
+    reloadRegisteredLayer(def).catch(err => console.error('server query reload failed', err));
+  });
+  syncInputs();
+  renderSocrataStatus();
+}
+
+// ---------- SOURCE HEALTH ----------
+function initSourceHealth(){
+  LAYER_DEFS.forEach(def => { sourceHealth[def.id] = { label: def.label, retry: () => reloadRegisteredLayer(def) }; });
+  sourceHealth.power = { label: 'NASA POWER', retry: () => refreshPowerData() };
+  sourceHealth.gibs = { label: 'NASA GIBS tiles', retry: () => { if (nasaRasterLayer) nasaRasterLayer.redraw(); } };
+  Object.values(sourceHealth).forEach(h => Object.assign(h, { status: 'idle', lastSuccess: null, error: null, asOf: null }));
+  renderSourceHealth();
+}
+
+function markSourceLoading(id){
+  const h = sourceHealth[id];
+  if (!h) return;
+  h.status = 'loading';
+  renderSourceHealth();
+}
+
+// asOf: when the data was fetched from the source (older than now when it came from the cache)
+function recordSourceSuccess(id, { degraded = false, note = null, asOf = new Date() } = {}){
+  const h = sourceHealth[id];
+  if (!h) return;
+  Object.assign(h, { status: degraded ? 'degraded' : 'ok', lastSuccess: new Date(), error: note, asOf });
+  renderSourceHealth();
+}
+
+// a source that worked recently is only degraded; otherwise it has failed
+function recordSourceFailure(id, err){
+  const h = sourceHealth[id];
+  if (!h) return;
+  const recent = h.lastSuccess && Date.now() - h.lastSuccess.getTime() < SOURCE_RECENT_MS;
+  Object.assign(h, { status: recent ? 'degraded' : 'failed', error: err?.message ?? String(err) });
+  renderSourceHealth();
+}
+
+const SOURCE_STATUS_COLORS = { idle:'#6c7a89', loading:'#7fdbff', ok:'#7fdc7f', degraded:'#ffd24d', failed:'#ff5a36' };
+
+function renderSourceHealth(){
+  const list = document.getElementById('source-health');
+  const banner = document.getElementById('source-banner');
+  const entries = Object.entries(sourceHealth);
+  if (list){
+    list.innerHTML = entries.map(([id, h]) => `
+      <li style="display:flex; gap:6px; align-items:center;" title="${escapeHtml(h.error ?? '')}">
+        <span style="width:10px;height:10px;border-radius:50%;background:${SOURCE_STATUS_COLORS[h.status]};display:inline-block;flex:none"></span>
+        <span style="flex:1">${h.label}</span>
+        <small>${h.status === 'idle' ? 'not used yet' : h.status}${h.asOf ? ` · data as of ${formatAsOf(h.asOf)}` : ''}</small>
+      </li>`).join('');
+  }
+  if (!banner) return;
+  const bad = entries.filter(([, h]) => h.status === 'failed' || h.status === 'degraded');
+  banner.hidden = !bad.length;
+  banner.innerHTML = bad.map(([id, h]) => `
+    <span class="source-banner-item ${h.status}">
+      ${h.label} ${h.status}${h.error ? ` (${escapeHtml(h.error)})` : ''}
+      <button type="button" class="btn btn-sm" data-source-retry="${id}">Retry</button>
+    </span>`).join('');
+  banner.querySelectorAll('[data-source-retry]').forEach(b => b.addEventListener('click', () => {
+    b.disabled = true;
+    Promise.resolve(sourceHealth[b.dataset.sourceRetry].retry()).catch(err => console.error('retry failed', err));
+  }));
+}
+
+// ---------- FIELD MAPPING & SCHEMA ----------
+function readFieldOverrides(){
+  try { return JSON.parse(localStorage.getItem(FIELD_MAP_STORAGE_KEY)) || {}; }
+  catch(e){ wrn('field mapping overrides unreadable', e); return {}; }
+}
+
+function writeFieldOverrides(overrides){
+  try { localStorage.setItem(FIELD_MAP_STORAGE_KEY, JSON.stringify(overrides)); }
+  catch(e){ wrn('field mapping overrides not saved', e); }
+}
+
+// def.fields with the user's saved chains laid over it
+function layerFieldMap(def){
+  return Object.assign({}, def.fields, readFieldOverrides()[def.id]);
+}
+
+function normalizeColumnName(c){ return String(c).toLowerCase().replace(/[^a-z0-9]/g, ''); }
+
+// source columns ranked by how close they are to any name in the chain (edit distance on
+// lower-cased alphanumerics, containment counts as close); distances past the limit are Infinity
+function closestColumns(chain, columns){
+  const names = chain.map(normalizeColumnName).filter(Boolean);
+  const limit = Math.max(2, Math.ceil(Math.min(...names.map(n => n.length))/2));
+  const editDist = (n, c) => { for (let d = 0; d <= limit; d++) if (withinEditDistance(n, c, d)) return d; return Infinity; };
+  return columns.map(col => {
+    const c = normalizeColumnName(col);
+    const dist = Math.min(...names.map(n => (c.includes(n) || n.includes(c)) && c.length > 1 ? 1 + Math.abs(c.length - n.length)/100 : editDist(n, c)));
+    return { col, dist, limit };
+  }).filter(s => s.dist <= s.limit).sort((a, b) => a.dist - b.dist).slice(0, SCHEMA_SUGGESTIONS).map(s => s.col);
+}
+
+// -> { columns, issues:[{ field, level:'error'|'warning', message, chain, suggestions }] }
+function validateLayerSchema(def, raw, fieldMap){
+  const columns = [];
+  raw.forEach(f => Object.keys(f.properties ?? f).forEach(k => { if (!columns.includes(k) && !def.geometryFields.includes(k)) columns.push(k); }));
+  const issues = [];
+  if (!raw.length) return { columns, issues };
+  Object.entries(def.schema || {}).forEach(([field, rule]) => {
+    const chain = fieldMap[field] || [field];
+    const values = raw.map(f => readField(f.properties ?? f, chain)).filter(v => v !== null && v !== undefined && v !== '');
+    if (!values.length){
+      issues.push({ field, level: rule.required ? 'error' : 'warning', chain, suggestions: closestColumns(chain, columns.filter(c => !chain.includes(c))),
+        message: `${field} missing: none of ${chain.join(', ')} found` });
+      return;
+    }
+    if (rule.type === 'number'){
+      const share = values.filter(v => !isNaN(Number(v))).length / values.length;
+      if (share < SCHEMA_MIN_NUMERIC_SHARE) issues.push({ field, level:'warning', chain, suggestions: [],
+        message: `${field} is mostly non-numeric (${(100*share).toFixed(0)}% numbers)` });
+    }
+    if (values.length < raw.length) dbg(`${def.id} schema: ${field} empty in`, raw.length - values.length, 'of', raw.length, 'features');
+  });
+  issues.forEach(i => wrn(`${def.id} schema:`, i.message, i.suggestions.length ? `— closest columns: ${i.suggestions.join(', ')}` : ''));
+  return { columns, issues };
+}
+
+function renderSchemaReport(){
+  const box = document.getElementById('field-mapping');
+  if (!box) return;
+  box.innerHTML = LAYER_DEFS.map(def => {
+    const report = layerState[def.id].schemaReport;
+    const fieldMap = layerFieldMap(def);
+    const issues = report?.issues ?? [];
+    const inputs = Object.keys(def.fields || {}).map(field => `
+      <label style="display:block;">${field}
+        <input type="text" size="22" data-map-layer="${def.id}" data-map-field="${field}" value="${escapeHtml(fieldMap[field].join(', '))}">
+      </label>`).join('');
+    const status = !report ? '<span class="muted">not loaded</span>'
+      : !issues.length ? '<span style="color:#7fdc7f;">✔ all fields found</span>'
+      : issues.map(i => `<div style="color:${i.level === 'error' ? '#ff5a36' : '#ffd24d'};">⚠ ${escapeHtml(i.message)}${i.suggestions.length
+          ? `<br><small>closest columns: ${i.suggestions.map(c => `<a href="#" data-suggest-layer="${def.id}" data-suggest-field="${i.field}" data-suggest-column="${escapeHtml(c)}">${escapeHtml(c)}</a>`).join(', ')}</small>` : ''}</div>`).join('');
+    return `
+      <details style="margin-bottom:6px;"${issues.length ? ' open' : ''}>
+        <summary><span style="color:${def.color};">●</span> ${def.label} — ${status}</summary>
+        ${inputs}
+        <div style="display:flex; gap:6px; margin-top:4px;">
+          <button type="button" class="btn btn-sm" data-map-apply="${def.id}">Apply</button>
+          <button type="button" class="btn btn-sm" data-map-reset="${def.id}">Reset</button>
+        </div>
+        ${report ? `<small class="muted">Columns: ${escapeHtml(report.columns.join(', '))}</small>` : ''}
+      </details>`;
+  }).join('');
+
+  box.querySelectorAll('[data-suggest-column]').forEach(a => a.addEventListener('click', e => {
+    e.preventDefault();
+    const input = box.querySelector(`input[data-map-layer="${a.dataset.suggestLayer}"][data-map-field="${a.dataset.suggestField}"]`);
+    if (input) input.value = [a.dataset.suggestColumn, ...input.value.split(',').map(s => s.trim()).filter(Boolean)].join(', ');
+  }));
+  box.querySelectorAll('[data-map-apply]').forEach(b => b.addEventListener('click', () => {
+    const def = LAYER_DEFS.find(d => d.id === b.dataset.mapApply);
+    const overrides = readFieldOverrides();
+    overrides[def.id] = {};
+    box.querySelectorAll(`input[data-map-layer="${def.id}"]`).forEach(input => {
+      const chain = input.value.split(',').map(s => s.trim()).filter(Boolean);
+      if (chain.length && chain.join() !== def.fields[input.dataset.mapField].join()) overrides[def.id][input.dataset.mapField] = chain;
+    });
+    if (!Object.keys(overrides[def.id]).length) delete overrides[def.id];
+    writeFieldOverrides(overrides);
+    remapRegisteredLayer(def).catch(err => console.error('field remap failed', err));
+  }));
+  box.querySelectorAll('[data-map-reset]').forEach(b => b.addEventListener('click', () => {
+    const def = LAYER_DEFS.find(d => d.id === b.dataset.mapReset);
+    const overrides = readFieldOverrides();
+    delete overrides[def.id];
+    writeFieldOverrides(overrides);
+    remapRegisteredLayer(def).catch(err => console.error('field remap failed', err));
+  }));
+}
+
+// re-normalize already fetched data after a mapping change; the new layer takes the old one's place
+async function remapRegisteredLayer(def){
+  const state = layerState[def.id];
+  // columns left out by $select have to come from the server
+  if (state.load?.select && socrataNeededColumns(def).some(c => state.load.columns.includes(c) && !state.load.select.includes(c))) {
+    return reloadRegisteredLayer(def);
+  }
+  const old = state.layer;
+  if (!await buildRegisteredLayer(def)) return;
+  swapRegisteredLayer(def, old);
+  updateAllAggregatesAndChart();
+}
+
+// ---------- DATA QUALITY ----------
+// loaded features are kept but flagged when outside NYC_BOUNDS, duplicated (same name and
+// position) or carrying a metric that is not a number; skipped ones never reached the map
+function assessLayerQuality(def, skipped){
+  const state = layerState[def.id];
+  const [[south, west], [north, east]] = NYC_BOUNDS;
+  const flagged = [];
+  const seen = new Set();
+  state.points.forEach(p => {
+    const record = state.raw[p.feature.sourceIndex];
+    const index = p.feature.sourceIndex;
+    if (p.lat < south || p.lat > north || p.lon < west || p.lon > east) flagged.push({ index, issue: 'outside NYC bounds', record });
+    const key = `${p.name}|${p.lat.toFixed(5)}|${p.lon.toFixed(5)}`;
+    if (seen.has(key)) flagged.push({ index, issue: 'duplicate', record });
+    seen.add(key);
+    const raw = p.feature.properties[def.metric.field];
+    if (raw !== null && raw !== undefined && raw !== '' && p[def.metric.key] === null) flagged.push({ index, issue: `non-numeric ${def.metric.field}`, record });
+  });
+  const count = issue => flagged.filter(f => f.issue === issue).length;
+  const quality = {
+    total: state.raw.length,
+    loaded: state.points.length,
+    skipped,
+    flagged,
+    outside: count('outside NYC bounds'),
+    duplicates: count('duplicate'),
+    nonNumeric: count(`non-numeric ${def.metric.field}`),
+    noMetric: state.points.filter(p => p[def.metric.key] === null).length
+  };
+  if (skipped.length || flagged.length){
+    wrn(`${def.id} data quality:`, { skipped: skipped.length, outside: quality.outside, duplicates: quality.duplicates, nonNumeric: quality.nonNumeric });
+  }
+  return quality;
+}
+
+function renderDataQuality(){
+  const box = document.getElementById('data-quality');
+  if (!box) return;
+  const defs = LAYER_DEFS.filter(def => layerState[def.id].quality);
+  if (!defs.length) { box.innerHTML = '<span class="muted">No datasets loaded yet</span>'; return; }
+  const cell = (n, warn) => `<td style="text-align:right;${n && warn ? ' color:#ffd24d;' : ''}">${n}</td>`;
+  box.innerHTML = `
+    <table style="width:100%; font-size:12px;">
+      <tr><th>Dataset</th><th style="text-align:right;">Loaded</th><th style="text-align:right;">Skipped</th>
+        <th style="text-align:right;" title="Anchor point outside the NYC bounding box">Outside</th>
+        <th style="text-align:right;" title="Same name at the same position">Dupes</th>
+        <th style="text-align:right;" title="Metric present but not a number">Bad #</th><th></th></tr>
+      ${defs.map(def => {
+        const q = layerState[def.id].quality;
+        const issues = q.skipped.length + q.flagged.length;
+        return `<tr>
+          <td><span style="color:${def.color};">●</span> ${def.shortLabel}</td>
+          ${cell(`${q.loaded}/${q.total}`)}${cell(q.skipped.length, true)}${cell(q.outside, true)}${cell(q.duplicates, true)}${cell(q.nonNumeric, true)}
+          <td>${issues ? `<button type="button" class="btn btn-sm" data-quality-download="${def.id}" title="Download skipped + flagged records">⬇</button>` : ''}</td>
+        </tr>`;
+      }).join('')}
+    </table>
+    <small class="muted">Features without a metric value are left out of the chart: ${defs.map(def => `${def.shortLabel} ${layerState[def.id].quality.noMetric}`).join(', ')}</small>
+  `;
+  box.querySelectorAll('[data-quality-download]').forEach(b => b.addEventListener('click', () => downloadQualityIssues(LAYER_DEFS.find(d => d.id === b.dataset.qualityDownload))));
+}
+
+// skipped records first, then the flagged ones, each with its source index and issue
+function downloadQualityIssues(def){
+  const q = layerState[def.id].quality;
+  const rows = [...q.skipped.map(r => Object.assign({ status: 'skipped' }, r)), ...q.flagged.map(r => Object.assign({ status: 'flagged' }, r))];
+  downloadBlob(JSON.stringify({ dataset: def.id, source: layerState[def.id].load?.url ?? socrataResourceUrl(def), generated: new Date().toISOString(), records: rows }, null, 2),
+    exportFilename(`${def.id}-data-issues`, 'json'), 'application/json');
+}
+
+// ---------- POINT MARKERS & CLUSTERING ----------
+function createPointMarker(def, entry){
+  const opts = Object.assign(def.marker(entry.value), { pane:'markerPane' });
+  if (def.renderer === 'canvas') opts.renderer = markerCanvasRenderer;
+  const m = L.circleMarker(entry.latlng, opts).bindPopup(buildPopup(def, entry.feature.properties));
+  m.feature = entry.feature;
+  return m;
+}
+
+function createPointLayer(def, entries){
+  const group = L.layerGroup(entries.map(e => createPointMarker(def, e)));
+  // keep markers above polygons
+  group.eachLayer(l => { if (l && l.bringToFront) try { l.bringToFront(); } catch(e){} });
+  return group;
+}
+
+function clusterIcon(def, count){
+  const size = Math.round(26 + 6*Math.log10(count));
+  return L.divIcon({
+    className: 'point-cluster',
+    html: `<div style="width:${size}px;height:${size}px;line-height:${size}px;background:${def.color};">${count}</div>`,
+    iconSize: [size, size]
+  });
+}
+
+// Grid clustering in screen space: on every move/zoom, the entries inside the (padded)
+// viewport are bucketed into radius×radius pixel cells. Single entries become canvas
+// markers; larger buckets a count badge that zooms in on click. Markers are only
+// created for what is on screen, so tens of thousands of entries stay cheap.
+function createClusteredPointLayer(def, entries){
+  const group = L.layerGroup();
+  group.clusterEntries = entries;
+  const { radius = 60, disableAtZoom = 16 } = def.cluster;
+
+  const redraw = () => {
+    const m = group._map;
+    if (!m) return;
+    group.clearLayers();
+    const zoom = m.getZoom();
+    const view = m.getBounds().pad(0.2);
+    const visible = entries.filter(e => view.contains(e.latlng));
+    if (zoom >= disableAtZoom){
+      visible.forEach(e => group.addLayer(createPointMarker(def, e)));
+      return;
+    }
+    const buckets = new Map();
+    visible.forEach(e => {
+      const p = m.project(e.latlng, zoom);
+      const key = `${Math.floor(p.x/radius)}:${Math.floor(p.y/radius)}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(e);
+    });
+    buckets.forEach(bucket => {
+      if (bucket.length === 1) { group.addLayer(createPointMarker(def, bucket[0])); return; }
+      const lat = bucket.reduce((a, e) => a + e.latlng.lat, 0)/bucket.length;
+      const lng = bucket.reduce((a, e) => a + e.latlng.lng, 0)/bucket.length;
+      const badge = L.marker([lat, lng], { icon: clusterIcon(def, bucket.length), pane:'markerPane', title:`${bucket.length} ${def.shortLabel} features` });
+      badge.on('click', () => m.fitBounds(L.latLngBounds(bucket.map(e => e.latlng)), { padding:[30,30], maxZoom: disableAtZoom }));
+      group.addLayer(badge);
+    });
+  };
+
+  const baseOnAdd = group.onAdd, baseOnRemove = group.onRemove;
+  group.onAdd = function(m){ baseOnAdd.call(this, m); m.on('moveend', redraw); redraw(); };
+  group.onRemove = function(m){ m.off('moveend', redraw); baseOnRemove.call(this, m); };
+  group.redraw = redraw;
+  return group;
+}
+
+// ---------- ATTRIBUTE FILTERS ----------
+function filterFieldValue(def, field, props){
+  const derived = (def.filterFields || []).find(f => f.key === field);
+  return derived ? derived.value(props || {}) : props?.[field];
+}
+
+function passesLayerFilters(def, feature){
+  return layerFilters[def.id].every(c => {
+    const v = filterFieldValue(def, c.field, feature.properties);
+    if (v === null || v === undefined || v === '') return false;
+    return FILTER_OPS[c.op].test(v, c);
+  });
+}
+
+// -> [{ key, label, numeric, values }] from the loaded features (scalar columns) + def.filterFields
+function filterableFields(def){
+  const features = layerState[def.id].features;
+  const keys = [...(def.filterFields || []).map(f => f.key)];
+  features.forEach(f => Object.entries(f.properties || {}).forEach(([k, v]) => {
+    if (!keys.includes(k) && v !== null && typeof v !== 'object') keys.push(k);
+  }));
+  return keys.map(key => {
+    const vals = features.map(f => filterFieldValue(def, key, f.properties)).filter(v => v !== null && v !== undefined && v !== '');
+    const distinct = [...new Set(vals.map(String))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const label = (def.filterFields || []).find(f => f.key === key)?.label ?? key;
+    return { key, label, numeric: vals.length > 0 && vals.every(v => !isNaN(Number(v))), values: distinct };
+  }).filter(f => f.values.length);
+}
+
+function describeFilter(def, c){
+  const field = (def.filterFields || []).find(f => f.key === c.field)?.label ?? c.field;
+  const op = FILTER_OPS[c.op].label;
+  if (c.op === 'between') return `${def.shortLabel}: ${field} ${op} ${c.value} and ${c.value2}`;
+  if (c.op === 'in') return `${def.shortLabel}: ${field} in {${c.values.join(', ')}}`;
+  return `${def.shortLabel}: ${field} ${op} ${c.value}`;
+}
+
+// redraw the layer from its filtered features and refresh everything counting them
+function applyLayerFilters(def){
+  const state = layerState[def.id];
+  if (!state.layer) return;
+  state.layer.clearLayers();
+  buildLayerContents(def).forEach(l => state.layer.addLayer(l));
+  renderActiveFilters();
+  updateAllAggregatesAndChart();
+  dbg('filters', def.id, layerFilters[def.id], 'markers:', getLayerCount(state.layer));
+}
+
+function renderActiveFilters(){
+  const list = document.getElementById('active-filters');
+  if (!list) return;
+  const items = LAYER_DEFS.flatMap(def => layerFilters[def.id].map((c, i) => ({ def, c, i })));
+  list.innerHTML = items.map(({ def, c, i }) => `
+    <li style="display:flex; align-items:center; gap:6px;">
+      <span style="width:10px;height:10px;border-radius:50%;background:${def.color};display:inline-block"></span>
+      <span style="flex:1">${describeFilter(def, c)}</span>
+      <button type="button" class="btn btn-sm" data-filter-layer="${def.id}" data-filter-index="${i}" title="Remove">×</button>
+    </li>`).join('') || '<li class="muted">No filters — all features shown</li>';
+  list.querySelectorAll('[data-filter-layer]').forEach(b => b.addEventListener('click', () => {
+    const def = LAYER_DEFS.find(d => d.id === b.dataset.filterLayer);
+    layerFilters[def.id].splice(Number(b.dataset.filterIndex), 1);
+    applyLayerFilters(def);
+  }));
+}
+
+function wireFilterControls(){
+  const layerEl = document.getElementById('filterLayer');
+  const fieldEl = document.getElementById('filterField');
+  const opEl = document.getElementById('filterOp');
+  const valueBox = document.getElementById('filterValue');
+  const addBtn = document.getElementById('filterAdd');
+  if (!layerEl || !fieldEl || !opEl || !valueBox || !addBtn) return;
+  let fields = [];
+
+  const currentDef = () => LAYER_DEFS.find(d => d.id === layerEl.value);
+  const currentField = () => fields.find(f => f.key === fieldEl.value);
+
+  const renderValueInput = () => {
+    const field = currentField();
+    const op = opEl.value;
+    if (!field) { valueBox.innerHTML = ''; return; }
+    if (op === 'in'){
+      valueBox.innerHTML = `<select id="filterValues" multiple size="4">${field.values.slice(0, FILTER_MAX_CHOICES).map(v => `<option value="${v}">${v}</option>`).join('')}</select>`;
+    } else if (op === 'between'){
+      valueBox.innerHTML = `<input type="number" id="filterValueA" style="width:70px;"> – <input type="number" id="filterValueB" style="width:70px;">`;
+    } else if (field.numeric && op !== 'contains'){
+      valueBox.innerHTML = `<input type="number" id="filterValueA" style="width:80px;">`;
+    } else {
+      valueBox.innerHTML = `<input type="text" id="filterValueA" list="filterValueOptions" size="12"><datalist id="filterValueOptions">${field.values.slice(0, FILTER_MAX_CHOICES).map(v => `<option value="${v}">`).join('')}</datalist>`;
+    }
+  };
+  const renderOps = () => {
+    const field = currentField();
+    opEl.innerHTML = Object.entries(FILTER_OPS).filter(([, o]) => field?.numeric ? o.numeric : o.text)
+      .map(([id, o]) => `<option value="${id}">${o.label}</option>`).join('');
+    renderValueInput();
+  };
+  // keeps the picked field + operator when they still apply to the new data
+  const renderFields = () => {
+    const keepField = fieldEl.value, keepOp = opEl.value;
+    fields = currentDef() ? filterableFields(currentDef()) : [];
+    fieldEl.innerHTML = fields.map(f => `<option value="${f.key}">${f.label}</option>`).join('') || '<option value="">(no data loaded)</option>';
+    if (fields.some(f => f.key === keepField)) fieldEl.value = keepField;
+    renderOps();
+    if ([...opEl.options].some(o => o.value === keepOp) && opEl.value !== keepOp) { opEl.value = keepOp; renderValueInput(); }
+  };
+
+  layerEl.innerHTML = LAYER_DEFS.map(def => `<option value="${def.id}">${def.label}</option>`).join('');
+  layerEl.addEventListener('change', renderFields);
+  fieldEl.addEventListener('change', renderOps);
+  opEl.addEventListener('change', renderValueInput);
+  // columns depend on the loaded data (and the joins add more), so follow every rebuild of the picked layer
+  refreshFilterFields = layerId => { if (layerId === layerEl.value) renderFields(); };
+
+  addBtn.addEventListener('click', () => {
+    const def = currentDef(), field = currentField(), op = opEl.value;
+    if (!def || !field) return;
+    const a = document.getElementById('filterValueA')?.value ?? '';
+    const b = document.getElementById('filterValueB')?.value ?? '';
+    const c = { field: field.key, op };
+    if (op === 'in'){
+      c.values = Array.from(document.getElementById('filterValues').selectedOptions).map(o => o.value);
+      if (!c.values.length) { wrn('filter: pick at least one value'); return; }
+    } else if (op === 'between'){
+      if (a === '' || b === '') { wrn('filter: between needs two values'); return; }
+      c.value = Math.min(Number(a), Number(b)); c.value2 = Math.max(Number(a), Number(b));
+    } else {
+      if (a === '') { wrn('filter: value required'); return; }
+      c.value = FILTER_OPS[op].numeric && field.numeric && op !== 'eq' && op !== 'neq' ? Number(a) : a;
+    }
+    layerFilters[def.id].push(c);
+    applyLayerFilters(def);
+  });
+
+  const clearBtn = document.getElementById('filterClear');
+  if (clearBtn) clearBtn.addEventListener('click', () => {
+    LAYER_DEFS.filter(def => layerFilters[def.id].length).forEach(def => { layerFilters[def.id].length = 0; applyLayerFilters(def); });
+  });
+
+  renderFields();
+  renderActiveFilters();
+}
+
+// ---------- SPATIAL JOIN ----------
+// runs every `joins` entry that involves `changedId` (or all of them) in the pipeline, writes the
+// results into the polygon properties and refreshes popups + neighborhoodStats. A target's joins
+// all rerun together, so a run superseded by a newer one for the same target is dropped
+async function runSpatialJoins(changedId){
+  await Promise.all(LAYER_DEFS.filter(def => def.joins).map(async def => {
+    const target = layerState[def.id];
+    const relevant = !changedId || changedId === def.id || def.joins.some(j => j.layer === changedId);
+    if (!relevant || !target.features.length) return;
+    const seq = ++target.joinSeq;
+    const polygons = target.features.filter(f => collectPolygons(f.geometry).length);
+    const geometries = polygons.map(f => f.geometry);
+
+    const results = await Promise.all(def.joins.map(j => runPipelineTask('join', {
+      polygons: geometries,
+      points: (layerState[j.layer]?.points || []).map(p => [p.lon, p.lat, p[j.key]])
+    })));
+    if (seq !== target.joinSeq) return;
+
+    def.joins.forEach((j, n) => {
+      polygons.forEach((f, i) => {
+        const { count, stats } = results[n][i];
+        f.properties[`${j.prefix}_count`] = count;
+        ['mean', 'median', 'min', 'max', 'sum'].forEach(k => { f.properties[`${j.prefix}_${j.key}_${k}`] = stats[k]; });
+      });
+      const joined = results[n].reduce((a, r) => a + r.count, 0);
+      dbg(`join ${j.layer} -> ${def.id}:`, joined, 'of', (layerState[j.layer]?.points || []).length, 'points inside a polygon');
+    });
+
+    refreshLayerPopups(def);
+    refreshFilterFields(def.id);
+    if (parseChartMetric(def, chartMetricChoice[def.id]).source !== def.metric) updateAggregatesChart();
+    if (def.id === 'heat') { rebuildNeighborhoodStats(polygons); rebuildEquityLayer(); renderHeatwaveAlerts(); }
+  }));
+  if (foodDesertState.enabled && (!changedId || changedId === 'food' || changedId === 'heat')) runFoodDesertAnalysis().catch(err => console.error('food desert analysis failed', err));
+  if (wasteBufferState.enabled) runWasteExposure().catch(err => console.error('waste exposure failed', err));
+}
+
+function refreshLayerPopups(def){
+  const walk = layer => {
+    if (!layer) return;
+    if (typeof layer.getLayers === 'function') { layer.getLayers().forEach(walk); return; }
+    if (layer.feature && layer.getPopup && layer.getPopup()) layer.setPopupContent(buildPopup(def, layer.feature.properties));
+  };
+  walk(layerState[def.id].layer);
+}
+
+function rebuildNeighborhoodStats(polygons){
+  neighborhoodStats.length = 0;
+  polygons.forEach(f => {
+    const p = f.properties;
+    neighborhoodStats.push({
+      name: p.name ?? 'Unknown',
+      hvi: toMetricNumber(p.hvi_score),
+      foodCount: p.food_count ?? 0,
+      foodScoreMean: p.food_score_mean ?? null,
+      foodScoreMedian: p.food_score_median ?? null,
+      foodScoreMin: p.food_score_min ?? null,
+      foodScoreMax: p.food_score_max ?? null,
+      wasteCount: p.waste_count ?? 0,
+      wasteTons: p.waste_tons_sum ?? 0,
+      areaKm2: geometryAreaKm2(f.geometry),
+      desertShare: p.food_desert_share ?? null,
+      feature: f
+    });
+  });
+}
+
+// ---------- EQUITY INDEX ----------
+function equityColor(score){
+  if (score === null || score === undefined) return '#555';
+  return (EQUITY_CLASSES.find(c => score >= c.min) || EQUITY_CLASSES[EQUITY_CLASSES.length - 1]).color;
+}
+
+function equityStyle(f){
+  return { color:'#222', weight:1, fillColor: equityColor(f.properties.equity_score), fillOpacity:0.75 };
+}
+
+// writes equity_score (0–100, null without data) and per-factor parts into each neighborhood
+function computeEquityScores(){
+  const scaled = {};
+  EQUITY_FACTORS.forEach(fac => {
+    const vals = neighborhoodStats.map(n => fac.value(n)).filter(v => v !== null && v !== undefined && isFinite(v));
+    const min = Math.min(...vals), max = Math.max(...vals);
+    scaled[fac.id] = n => {
+      const v = fac.value(n);
+      if (v === null || v === undefined || !isFinite(v) || !vals.length) return null;
+      const t = max > min ? (v - min)/(max - min) : 0.5;
+      return fac.invert ? 1 - t : t;
+    };
+  });
+  neighborhoodStats.forEach(n => {
+    let wsum = 0, acc = 0;
+    n.equityParts = {};
+    EQUITY_FACTORS.forEach(fac => {
+      const t = scaled[fac.id](n);
+      n.equityParts[fac.id] = t;
+      if (t === null || !fac.weight) return;
+      wsum += fac.weight; acc += fac.weight * t;
+    });
+    n.equityScore = wsum ? 100 * acc / wsum : null;
+    n.feature.properties.equity_score = n.equityScore;
+  });
+}
+
+function equityPopup(n){
+  const parts = EQUITY_FACTORS.map(fac => {
+    const t = n.equityParts?.[fac.id];
+    return `${fac.label}: ${t === null || t === undefined ? 'N/A' : (100*t).toFixed(0)} (w ${fac.weight})`;
+  });
+  const score = n.equityScore === null ? 'N/A' : n.equityScore.toFixed(1);
+  return `<strong>${n.name}</strong><br>Equity index: ${score}<br><small>${parts.join('<br>')}</small>`;
+}
+
+function rebuildEquityLayer(){
+  const onMap = equityLayer && map.hasLayer(equityLayer);
+  if (onMap) map.removeLayer(equityLayer);
+  equityLayer = L.geoJSON({ type:'FeatureCollection', features: neighborhoodStats.map(n => n.feature) }, {
+    style: equityStyle
+  });
+  equityLayer.eachLayer(l => {
+    l.equityStats = neighborhoodStats.find(n => n.feature === l.feature);
+    l.bindPopup('');
+  });
+  updateEquityIndex();
+  if (onMap) map.addLayer(equityLayer);
+}
+
+// recompute with the current weights, re-shade the choropleth and re-rank
+function updateEquityIndex(){
+  computeEquityScores();
+  if (equityLayer){
+    equityLayer.setStyle(equityStyle);
+    equityLayer.eachLayer(l => { if (l.equityStats) l.setPopupContent(equityPopup(l.equityStats)); });
+  }
+  renderEquityRanking();
+}
+
+function renderEquityRanking(){
+  const list = document.getElementById('equity-ranking');
+  if (!list) return;
+  const ranked = neighborhoodStats.filter(n => n.equityScore !== null).sort((a,b) => b.equityScore - a.equityScore).slice(0, EQUITY_TOP_N);
+  if (!ranked.length) { list.innerHTML = '<li class="muted">No neighborhood data yet</li>'; return; }
+  list.innerHTML = ranked.map((n, i) => `<li><a href="#" data-rank="${i}">${n.name}</a> — ${n.equityScore.toFixed(1)}</li>`).join('');
+  list.querySelectorAll('a[data-rank]').forEach(a => a.addEventListener('click', e => {
+    e.preventDefault();
+    const n = ranked[Number(a.dataset.rank)];
+    try { map.fitBounds(L.geoJSON(n.feature).getBounds(), { padding:[20,20], maxZoom:14 }); } catch(err){ wrn('equity fitBounds failed', err); }
+    const anchor = getFeatureAnchor(n.feature);
+    if (anchor) L.popup().setLatLng(anchor).setContent(equityPopup(n)).openOn(map);
+  }));
+}
+
+function createEquityLegend(){
+  return createLegendControl('Equity Index', EQUITY_CLASSES, { className:'equity-legend', color:'#fc8d59' });
+}
+
+function wireEquityControls(){
+  const box = document.getElementById('equity-weights');
+  const toggle = document.getElementById('toggleEquity');
+  if (box){
+    box.innerHTML = EQUITY_FACTORS.map(fac => `
+      <label style="display:block;">${fac.label}: <span id="equity-w-${fac.id}">${fac.weight}</span>
+        <input type="range" min="0" max="100" step="5" value="${fac.weight}" data-factor="${fac.id}" style="width:100%;">
+      </label>`).join('');
+    box.querySelectorAll('input[data-factor]').forEach(input => input.addEventListener('input', () => {
+      const fac = EQUITY_FACTORS.find(f => f.id === input.dataset.factor);
+      fac.weight = Number(input.value);
+      document.getElementById(`equity-w-${fac.id}`).textContent = fac.weight;
+      updateEquityIndex();
+    }));
+  }
+  if (toggle) toggle.addEventListener('change', e => {
+    if (!equityLegend) equityLegend = createEquityLegend();
+    if (e.target.checked){
+      if (equityLayer && !map.hasLayer(equityLayer)) map.addLayer(equityLayer);
+      equityLegend.addTo(map);
+    } else {
+      if (equityLayer && map.hasLayer(equityLayer)) map.removeLayer(equityLayer);
+      equityLegend.remove();
+    }
+  });
+  renderEquityRanking();
+}
+
+// ---------- FOOD DESERT ANALYSIS ----------
+function foodDesertColor(miles, threshold){
+  if (!isFinite(miles) || miles > threshold) return [178, 24, 43, 190];     // desert
+  if (miles > threshold/2) return [254, 224, 139, 150];                     // approaching
+  return [26, 152, 80, 120];                                                // served
+}
+
+// lays a regular cellMi grid over NYC_BOUNDS (shared by the food desert and temperature surfaces)
+function buildCityGrid(cellMi){
+  const [[south, west], [north, east]] = NYC_BOUNDS;
+  const dLat = cellMi / 69.0;
+  const dLon = cellMi / (69.17 * Math.cos(((south + north)/2) * Math.PI/180));
+  const nx = Math.ceil((east - west)/dLon), ny = Math.ceil((north - south)/dLat);
+  const cells = [];
+  for (let j = 0; j < ny; j++){
+    for (let i = 0; i < nx; i++) cells.push({ i, j, lat: south + (j + 0.5)*dLat, lon: west + (i + 0.5)*dLon, miles: Infinity, zone: -1 });
+  }
+  return { nx, ny, dLat, dLon, bounds: [[south, west], [south + ny*dLat, west + nx*dLon]], cells };
+}
+
+// zone membership and nearest-outlet distances run in the pipeline; only the newest run is drawn
+async function runFoodDesertAnalysis(){
+  const seq = ++foodDesertState.version;
+  const { thresholdMi, cellMi } = foodDesertState;
+  const grid = buildCityGrid(cellMi);
+  const zones = layerState.heat.features.filter(f => collectPolygons(f.geometry).length);
+
+  // distances are only computed for cells inside a zone; searches stop at FOOD_DESERT_MAX_MI,
+  // anything farther stays Infinity (always a desert)
+  const out = await runPipelineTask('desertGrid', {
+    cells: grid.cells.map(c => [c.lon, c.lat]),
+    polygons: zones.map(f => f.geometry),
+    food: layerState.food.points.map(p => [p.lat, p.lon]),
+    maxMiles: FOOD_DESERT_MAX_MI
+  }, (done, total) => { if (seq === foodDesertState.version) renderFoodDesertProgress(done/total); });
+  if (seq !== foodDesertState.version) return; // settings or data changed meanwhile
+
+  const buckets = zones.map(() => []);
+  grid.cells.forEach((c, k) => {
+    c.zone = zones.length ? out.zones[k] : -1;
+    c.miles = out.miles[k];
+    if (c.zone >= 0) buckets[c.zone].push(c);
+  });
+  grid.shown = zones.length ? grid.cells.filter(c => c.zone >= 0) : grid.cells;
+
+  foodDesertState.zones = zones.map((f, z) => {
+    const cells = buckets[z];
+    const desert = cells.filter(c => c.miles > thresholdMi).length;
+    const share = cells.length ? desert/cells.length : null;
+    f.properties.food_desert_share = share;
+    return { name: f.properties.name ?? 'Unknown', cells: cells.length, desertCells: desert, share, feature: f };
+  });
+  neighborhoodStats.forEach(n => { n.desertShare = n.feature.properties.food_desert_share ?? null; });
+  refreshLayerPopups(LAYER_DEFS.find(d => d.id === 'heat'));
+
+  foodDesertState.grid = grid;
+  renderFoodDesertSurface();
+  renderFoodDesertSummary();
+  dbg('food desert grid', { cells: grid.cells.length, shown: grid.shown.length, food: layerState.food.points.length, thresholdMi, cellMi });
+}
+
+// one pixel per cell, stretched over the grid bounds as an image overlay
+function renderFoodDesertSurface(){
+  const grid = foodDesertState.grid;
+  if (!grid) return;
+  const canvas = document.createElement('canvas');
+  canvas.width = grid.nx; canvas.height = grid.ny;
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(grid.nx, grid.ny);
+  grid.shown.forEach(c => {
+    const k = ((grid.ny - 1 - c.j) * grid.nx + c.i) * 4;
+    const [r, g, b, a] = foodDesertColor(c.miles, foodDesertState.thresholdMi);
+    img.data[k] = r; img.data[k+1] = g; img.data[k+2] = b; img.data[k+3] = a;
+  });
+  ctx.putImageData(img, 0, 0);
+
+  const onMap = foodDesertLayer && map.hasLayer(foodDesertLayer);
+  if (foodDesertLayer) map.removeLayer(foodDesertLayer);
+  foodDesertLayer = L.imageOverlay(canvas.toDataURL(), grid.bounds, { className:'food-desert-surface', opacity:0.85 });
+  if (onMap || foodDesertState.enabled) map.addLayer(foodDesertLayer);
+}
+
+function renderFoodDesertProgress(fraction){
+  const box = document.getElementById('desert-summary');
+  if (box) box.innerHTML = `<div class="muted">Computing distances… ${(100*fraction).toFixed(0)}%</div>`;
+}
+
+function renderFoodDesertSummary(){
+  const box = document.getElementById('desert-summary');
+  if (!box) return;
+  const grid = foodDesertState.grid;
+  if (!grid) { box.innerHTML = ''; return; }
+  const shown = grid.shown;
+  const desert = shown.filter(c => c.miles > foodDesertState.thresholdMi).length;
+  const citywide = shown.length ? (100*desert/shown.length).toFixed(1) : 'N/A';
+  const rows = foodDesertState.zones.filter(z => z.share !== null).sort((a,b) => b.share - a.share).slice(0, EQUITY_TOP_N)
+    .map(z => `<tr><td>${z.name}</td><td style="text-align:right;">${(100*z.share).toFixed(0)}%</td></tr>`).join('');
+  box.innerHTML = `
+    <div>${citywide}% of ${shown.length} cells are more than ${foodDesertState.thresholdMi} mi from a food outlet</div>
+    ${rows ? `<table style="width:100%; font-size:12px; margin-top:4px;"><tr><th>Heat zone</th><th style="text-align:right;">In desert</th></tr>${rows}</table>` : ''}
+  `;
+}
+
+// rows follow the picked threshold: update() redraws them
+function createFoodDesertLegend(){
+  const rows = () => {
+    const t = foodDesertState.thresholdMi;
+    const color = rgba => `rgba(${rgba.slice(0,3).join(',')},${rgba[3]/255})`;
+    return [
+      { color: color(foodDesertColor(0, t)), label: `≤ ${t/2} mi` },
+      { color: color(foodDesertColor(t, t)), label: `≤ ${t} mi` },
+      { color: color(foodDesertColor(Infinity, t)), label: `Desert (> ${t} mi)` }
+    ];
+  };
+  const c = createLegendControl('Distance to food', rows(), { className:'food-desert-legend' });
+  c.update = () => c.setContent('Distance to food', rows());
+  return c;
+}
+
+function wireFoodDesertControls(){
+  const toggle = document.getElementById('toggleFoodDesert');
+  const thresholdEl = document.getElementById('desertThreshold');
+  const cellEl = document.getElementById('desertCell');
+  if (thresholdEl){
+    thresholdEl.innerHTML = FOOD_DESERT_THRESHOLDS.map(v => `<option value="${v}"${v === foodDesertState.thresholdMi ? ' selected' : ''}>${v} mi</option>`).join('');
+    thresholdEl.addEventListener('change', () => {
+      foodDesertState.thresholdMi = Number(thresholdEl.value);
+      if (foodDesertState.enabled) runFoodDesertAnalysis().catch(err => console.error('food desert analysis failed', err));
+      if (foodDesertLegend) foodDesertLegend.update();
+    });
+  }
+  if (cellEl){
+    cellEl.innerHTML = FOOD_DESERT_CELLS.map(v => `<option value="${v}"${v === foodDesertState.cellMi ? ' selected' : ''}>${v} mi</option>`).join('');
+    cellEl.addEventListener('change', () => {
+      foodDesertState.cellMi = Number(cellEl.value);
+      if (foodDesertState.enabled) runFoodDesertAnalysis().catch(err => console.error('food desert analysis failed', err));
+    });
+  }
+  if (toggle) toggle.addEventListener('change', e => {
+    foodDesertState.enabled = e.target.checked;
+    if (!foodDesertLegend) foodDesertLegend = createFoodDesertLegend();
+    if (e.target.checked){
+      runFoodDesertAnalysis().catch(err => console.error('food desert analysis failed', err));
+      foodDesertLegend.addTo(map);
+      foodDesertLegend.update();
+    } else {
+      if (foodDesertLayer && map.hasLayer(foodDesertLayer)) map.removeLayer(foodDesertLayer);
+      foodDesertLegend.remove();
+    }
+  });
+}
+
+// ---------- TEMPERATURE SURFACE (IDW) ----------
+function tempSurfaceUnit(){ return POWER_PARAMETERS[tempSurfaceState.parameter]?.unit ?? ''; }
+
+function tempSurfaceColor(value){
+  const { min, max } = tempSurfaceState;
+  const t = max > min ? Math.min(1, Math.max(0, (value - min)/(max - min))) : 0.5;
+  const x = t * (TEMP_SURFACE_RAMP.length - 1), k = Math.min(Math.floor(x), TEMP_SURFACE_RAMP.length - 2), f = x - k;
+  return TEMP_SURFACE_RAMP[k].map((c, n) => Math.round(c + f*(TEMP_SURFACE_RAMP[k+1][n] - c)));
+}
+
+// POWER sample locations every spacingDeg, centered inside NYC_BOUNDS
+// grid of sample sites over NYC_BOUNDS; the spacing widens until there are at most TEMP_SURFACE_MAX_SAMPLES
+function tempSurfaceSampleSites(spacingDeg){
+  const [[south, west], [north, east]] = NYC_BOUNDS;
+  let spacing = spacingDeg, ny, nx;
+  for (;;){
+    ny = Math.max(1, Math.round((north - south)/spacing));
+    nx = Math.max(1, Math.round((east - west)/spacing));
+    if (nx*ny <= TEMP_SURFACE_MAX_SAMPLES) break;
+    spacing *= 1.1;
+  }
+  if (spacing !== spacingDeg) dbg(`temperature samples: ${spacingDeg}° would need more than ${TEMP_SURFACE_MAX_SAMPLES} sites, using ${spacing.toFixed(3)}°`);
+  const sites = [];
+  for (let j = 0; j < ny; j++){
+    for (let i = 0; i < nx; i++) sites.push({ lat: +(south + (j + 0.5)*(north - south)/ny).toFixed(4), lon: +(west + (i + 0.5)*(east - west)/nx).toFixed(4) });
+  }
+  return sites;
+}
+
+// mean of the surface parameter over the current POWER date range at every sample site
+async function samplePowerGrid(){
+  const { parameter, spacingDeg } = tempSurfaceState;
+  const query = Object.assign(snapshotPowerQuery(), { parameters: [parameter] });
+  const sites = tempSurfaceSampleSites(spacingDeg);
+  let done = 0;
+  const values = await mapWithConcurrency(sites, TEMP_SURFACE_CONCURRENCY, async site => {
+    try {
+      const vals = readPowerSeries(await fetchPowerPoint(site.lat, site.lon, query), query.parameters).series[parameter].filter(v => !isNaN(v));
+      return vals.length ? vals.reduce((a,b) => a+b, 0)/vals.length : NaN;
+    } catch(err){
+      if (!isAbortError(err)) wrn('temperature sample failed', site, err);
+      return NaN;
+    } finally {
+      renderTempSurfaceStatus(`Sampling NASA POWER… ${++done}/${sites.length}`);
+    }
+  });
+  return sites.map((s, i) => ({ lat: s.lat, lon: s.lon, value: values[i] })).filter(s => isFinite(s.value));
+}
+
+// accepts GeoJSON points (property `value` or the parameter key) or CSV with lat,lon,value columns
+function parseTempSamples(text, parameter){
+  const num = v => (v === null || v === undefined || v === '' || Number(v) === -999) ? NaN : Number(v);
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')){
+    const json = JSON.parse(trimmed);
+    const feats = Array.isArray(json) ? json : (json.features || []);
+    return feats.map(f => {
+      if (f.type === 'Feature'){
+        const c = f.geometry?.type === 'Point' ? f.geometry.coordinates : null;
+        const p = f.properties || {};
+        return { lat: num(c?.[1]), lon: num(c?.[0]), value: num(p.value ?? p[parameter]) };
+      }
+      return { lat: num(f.lat ?? f.latitude), lon: num(f.lon ?? f.lng ?? f.longitude), value: num(f.value ?? f[parameter]) };
+    }).filter(s => isFinite(s.lat) && isFinite(s.lon) && isFinite(s.value));
+  }
+  const [head, ...lines] = trimmed.split(/\r?\n/);
+  const cols = head.split(',').map(c => c.trim().toLowerCase());
+  const col = names => cols.findIndex(c => names.includes(c));
+  const iLat = col(['lat', 'latitude']), iLon = col(['lon', 'lng', 'longitude']), iVal = col(['value', parameter.toLowerCase()]);
+  if (iLat < 0 || iLon < 0 || iVal < 0) throw new Error('CSV needs lat, lon and value columns');
+  return lines.map(l => l.split(',')).map(r => ({ lat: num(r[iLat]), lon: num(r[iLon]), value: num(r[iVal]) }))
+    .filter(s => isFinite(s.lat) && isFinite(s.lon) && isFinite(s.value));
+}
+
+// (re)loads samples from POWER unless a file is in use, then interpolates and redraws
+async function runTempSurface(){
+  const version = ++tempSurfaceState.version;
+  if (tempSurfaceState.source === 'power'){
+    renderTempSurfaceStatus('Sampling NASA POWER…');
+    const samples = await samplePowerGrid();
+    if (version !== tempSurfaceState.version) return; // settings changed while sampling
+    tempSurfaceState.samples = samples;
+  }
+  await interpolateTempSurface();
+}
+
+// clip to the heat zones + IDW run in the pipeline; only the newest interpolation is drawn
+async function interpolateTempSurface(){
+  const seq = ++tempSurfaceState.interpolation;
+  const { samples, idwPower } = tempSurfaceState;
+  if (!samples.length){
+    tempSurfaceState.grid = null;
+    if (tempSurfaceLayer) map.removeLayer(tempSurfaceLayer);
+    renderTempSurfaceStatus('No temperature samples available');
+    return;
+  }
+  const grid = buildCityGrid(TEMP_SURFACE_CELL_MI);
+  const zones = layerState.heat.features.filter(f => collectPolygons(f.geometry).length);
+  const out = await runPipelineTask('idwGrid', {
+    cells: grid.cells.map(c => [c.lon, c.lat]),
+    polygons: zones.map(f => f.geometry),
+    samples: samples.map(s => ({ lat: s.lat, lon: s.lon, value: s.value })),
+    power: idwPower
+  }, (done, total) => { if (seq === tempSurfaceState.interpolation) renderTempSurfaceStatus(`Interpolating… ${(100*done/total).toFixed(0)}%`); });
+  if (seq !== tempSurfaceState.interpolation) return; // samples or settings changed meanwhile
+  grid.cells.forEach((c, k) => { c.value = out.values[k]; });
+  grid.shown = grid.cells.filter(c => isFinite(c.value));
+
+  const values = samples.map(s => s.value);
+  tempSurfaceState.min = Math.min(...values);
+  tempSurfaceState.max = Math.max(...values);
+  tempSurfaceState.grid = grid;
+  renderTempSurface();
+  if (tempSurfaceLegend) tempSurfaceLegend.update();
+  const from = tempSurfaceState.source === 'file' ? tempSurfaceState.fileName : `NASA POWER, ${formatPowerRange(powerQuery)}`;
+  renderTempSurfaceStatus(`${samples.length} samples (${from}) · ${tempSurfaceState.min.toFixed(1)}–${tempSurfaceState.max.toFixed(1)} ${tempSurfaceUnit()}`);
+  dbg('temperature surface', { samples: samples.length, cells: grid.shown.length, idwPower });
+}
+
+function renderTempSurface(){
+  const grid = tempSurfaceState.grid;
+  if (!grid) return;
+  const canvas = document.createElement('canvas');
+  canvas.width = grid.nx; canvas.height = grid.ny;
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(grid.nx, grid.ny);
+  grid.shown.forEach(c => {
+    if (!isFinite(c.value)) return;
+    const k = ((grid.ny - 1 - c.j) * grid.nx + c.i) * 4;
+    const [r, g, b] = tempSurfaceColor(c.value);
+    img.data[k] = r; img.data[k+1] = g; img.data[k+2] = b; img.data[k+3] = 170;
+  });
+  ctx.putImageData(img, 0, 0);
+
+  if (tempSurfaceLayer) map.removeLayer(tempSurfaceLayer);
+  // own click handler reads the surface, so the click must not also reach the map
+  tempSurfaceLayer = L.imageOverlay(canvas.toDataURL(), grid.bounds, { className:'temp-surface', opacity:0.8, interactive:true, bubblingMouseEvents:false });
+  tempSurfaceLayer.on('click', e => showTempSurfaceValue(e.latlng));
+  if (tempSurfaceState.enabled) map.addLayer(tempSurfaceLayer);
+}
+
+function showTempSurfaceValue(latlng){
+  const { samples, idwPower, parameter } = tempSurfaceState;
+  const value = idwValue(samples, latlng.lat, latlng.lng, idwPower);
+  const nearest = samples.reduce((best, s) => {
+    const d = haversineMiles(latlng.lat, latlng.lng, s.lat, s.lon);
+    return d < best.miles ? { miles: d, sample: s } : best;
+  }, { miles: Infinity, sample: null });
+  const loc = { name: `${latlng.lat.toFixed(3)}, ${latlng.lng.toFixed(3)}`, lat: Number(latlng.lat.toFixed(4)), lon: Number(latlng.lng.toFixed(4)) };
+  L.popup().setLatLng(latlng).setContent(`
+    <strong>${POWER_PARAMETERS[parameter]?.label ?? parameter}</strong><br>
+    Interpolated: ${isFinite(value) ? value.toFixed(1) : 'N/A'} ${tempSurfaceUnit()}<br>
+    <small>Nearest sample ${nearest.sample ? `${nearest.sample.value.toFixed(1)} ${tempSurfaceUnit()}, ${nearest.miles.toFixed(2)} mi away` : 'N/A'}</small><br>
+    ${pinButtonHtml(loc)}
+  `).openOn(map);
+}
+
+function renderTempSurfaceStatus(text){
+  const box = document.getElementById('temp-surface-status');
+  if (box) box.textContent = text;
+}
+
+// color ramp between the sampled min and max; update() follows the parameter and range
+function createTempSurfaceLegend(){
+  const title = () => `${POWER_PARAMETERS[tempSurfaceState.parameter]?.label ?? tempSurfaceState.parameter} (IDW)`;
+  const rows = () => {
+    const { min, max } = tempSurfaceState;
+    const stops = TEMP_SURFACE_RAMP.map((rgb, k) => `rgb(${rgb.join(',')}) ${(100*k/(TEMP_SURFACE_RAMP.length - 1)).toFixed(0)}%`).join(',');
+    const fmt = v => isFinite(v) ? `${v.toFixed(1)} ${tempSurfaceUnit()}` : '–';
+    return [
+      `<div style="width:140px; height:10px; border-radius:2px; background:linear-gradient(to right, ${stops});"></div>`,
+      `<div style="display:flex; justify-content:space-between;"><span>${fmt(min)}</span><span>${fmt(max)}</span></div>`
+    ];
+  };
+  const c = createLegendControl(title(), rows(), { className:'temp-surface-legend' });
+  c.update = () => c.setContent(title(), rows());
+  return c;
+}
+
+function wireTempSurfaceControls(){
+  const toggle = document.getElementById('toggleTempSurface');
+  const paramEl = document.getElementById('tempSurfaceParam');
+  const spacingEl = document.getElementById('tempSurfaceSpacing');
+  const powerEl = document.getElementById('tempSurfacePower');
+  const fileEl = document.getElementById('tempSurfaceFile');
+  const rerun = () => { if (tempSurfaceState.enabled) runTempSurface().catch(err => console.error('temperature surface failed', err)); };
+
+  if (paramEl){
+    paramEl.innerHTML = TEMP_SURFACE_PARAMETERS.map(k => `<option value="${k}"${k === tempSurfaceState.parameter ? ' selected' : ''}>${POWER_PARAMETERS[k].label}</option>`).join('');
+    paramEl.addEventListener('change', () => { tempSurfaceState.parameter = paramEl.value; rerun(); });
+  }
+  if (spacingEl){
+    spacingEl.innerHTML = TEMP_SURFACE_SPACINGS.map(v => `<option value="${v}"${v === tempSurfaceState.spacingDeg ? ' selected' : ''}>${v}°</option>`).join('');
+    spacingEl.addEventListener('change', () => {
+      // picking a spacing switches back from a loaded file to POWER sampling
+      tempSurfaceState.spacingDeg = Number(spacingEl.value);
+      tempSurfaceState.source = 'power';
+      if (fileEl) fileEl.value = '';
+      rerun();
+    });
+  }
+  if (powerEl){
+    powerEl.innerHTML = TEMP_SURFACE_POWERS.map(v => `<option value="${v}"${v === tempSurfaceState.idwPower ? ' selected' : ''}>${v}</option>`).join('');
+    powerEl.addEventListener('change', () => {
+      tempSurfaceState.idwPower = Number(powerEl.value);
+      if (tempSurfaceState.enabled && tempSurfaceState.samples.length) interpolateTempSurface().catch(err => console.error('temperature surface failed', err));
+    });
+  }
+  if (fileEl) fileEl.addEventListener('change', async () => {
+    const file = fileEl.files?.[0];
+    if (!file) return;
+    try {
+      const samples = parseTempSamples(await file.text(), tempSurfaceState.parameter);
+      if (!samples.length) throw new Error('no usable samples');
+      tempSurfaceState.version++; // drop any POWER sampling still in flight
+      Object.assign(tempSurfaceState, { source: 'file', fileName: file.name, samples });
+      if (tempSurfaceState.enabled) interpolateTempSurface().catch(err => console.error('temperature surface failed', err));
+      else renderTempSurfaceStatus(`${samples.length} samples loaded from ${file.name}`);
+    } catch(err){
+      wrn('temperature sample file rejected', file.name, err);
+      renderTempSurfaceStatus(`Could not read ${file.name}: ${err.message}`);
+    }
+  });
+  if (toggle) toggle.addEventListener('change', e => {
+    tempSurfaceState.enabled = e.target.checked;
+    if (!tempSurfaceLegend) tempSurfaceLegend = createTempSurfaceLegend();
+    if (e.target.checked){
+      tempSurfaceLegend.addTo(map);
+      if (tempSurfaceState.source === 'file' || !tempSurfaceState.samples.length) rerun();
+      else if (tempSurfaceLayer) { map.addLayer(tempSurfaceLayer); tempSurfaceLegend.update(); }
+      else interpolateTempSurface().catch(err => console.error('temperature surface failed', err));
+    } else {
+      tempSurfaceState.version++;
+      if (tempSurfaceLayer && map.hasLayer(tempSurfaceLayer)) map.removeLayer(tempSurfaceLayer);
+      tempSurfaceLegend.remove();
+    }
+  });
+}
+
+// ---------- WASTE BUFFER EXPOSURE ----------
+function parseBufferRadii(text){
+  return [...new Set(String(text).split(/[\s,;]+/).map(Number).filter(v => isFinite(v) && v > 0))].sort((a,b) => a - b);
+}
+
+// per facility and radius: heat zones touching the disc + food outlets inside it. The ring tests run
+// in the pipeline; only the newest run is drawn
+async function runWasteExposure(){
+  const seq = ++wasteBufferState.version;
+  const radii = wasteBufferState.radii;
+  const facilities = layerState.waste.points, food = layerState.food.points, zones = neighborhoodStats;
+  const out = await runPipelineTask('exposure', {
+    facilities: facilities.map(p => [p.lat, p.lon]),
+    food: food.map(p => [p.lat, p.lon]),
+    zones: zones.map(n => n.feature.geometry),
+    radii
+  }, (done, total) => { if (seq === wasteBufferState.version) renderWasteExposureProgress(done/total); });
+  if (seq !== wasteBufferState.version) return; // radii or data changed meanwhile
+
+  wasteBufferState.rows = facilities.map((w, k) => ({
+    name: w.name, tons: w.tons, lat: w.lat, lon: w.lon,
+    rings: radii.map((r, i) => ({ radius: r, food: out[k][i].food.map(j => food[j]), zones: out[k][i].zones.map(z => zones[z]) }))
+  }));
+
+  // citywide: distinct outlets / zones per radius, and mean HVI of exposed vs. unexposed zones
+  const mean = arr => { const v = arr.filter(x => x !== null && !isNaN(x)); return v.length ? v.reduce((a,b)=>a+b,0)/v.length : null; };
+  wasteBufferState.summary = radii.map((r, k) => {
+    const food = new Set(), exposed = new Set();
+    wasteBufferState.rows.forEach(row => { row.rings[k].food.forEach(p => food.add(p)); row.rings[k].zones.forEach(n => exposed.add(n)); });
+    const unexposed = zones.filter(n => !exposed.has(n));
+    return { radius: r, foodCount: food.size, zones: [...exposed], exposedHvi: mean([...exposed].map(n => n.hvi)), unexposedHvi: mean(unexposed.map(n => n.hvi)) };
+  });
+
+  renderWasteBuffers();
+  renderWasteExposureTable();
+  dbg('waste exposure', wasteBufferState.summary);
+}
+
+function renderWasteBuffers(){
+  const onMap = wasteBufferLayer && map.hasLayer(wasteBufferLayer);
+  if (wasteBufferLayer) map.removeLayer(wasteBufferLayer);
+  wasteBufferLayer = L.layerGroup();
+  const radii = wasteBufferState.radii;
+  wasteBufferState.rows.forEach(row => {
+    // largest first so the inner rings stay clickable
+    [...row.rings].reverse().forEach(ring => {
+      const color = WASTE_BUFFER_COLORS[Math.min(radii.indexOf(ring.radius), WASTE_BUFFER_COLORS.length - 1)];
+      L.circle([row.lat, row.lon], { radius: ring.radius, color, weight:1, dashArray:'4 4', fillColor: color, fillOpacity:0.08 })
+        .bindPopup(`<strong>${row.name}</strong><br>${ring.radius} m ring<br>Food outlets: ${ring.food.length}<br>Heat zones: ${ring.zones.map(n => n.name).join(', ') || 'none'}`)
+        .addTo(wasteBufferLayer);
+    });
+  });
+  if (onMap || wasteBufferState.enabled) map.addLayer(wasteBufferLayer);
+}
+
+function renderWasteExposureProgress(fraction){
+  const box = document.getElementById('waste-exposure');
+  if (box) box.innerHTML = `<div class="muted">Checking buffers… ${(100*fraction).toFixed(0)}%</div>`;
+}
+
+function renderWasteExposureTable(){
+  const box = document.getElementById('waste-exposure');
+  if (!box) return;
+  const fmt = v => v === null ? 'N/A' : v.toFixed(1);
+  const head = wasteBufferState.radii.map(r => `<th style="text-align:right;">≤${r} m</th>`).join('');
+  const summary = `
+    <tr><td>Food outlets</td>${wasteBufferState.summary.map(s => `<td style="text-align:right;">${s.foodCount}</td>`).join('')}</tr>
+    <tr><td>Heat zones</td>${wasteBufferState.summary.map(s => `<td style="text-align:right;">${s.zones.length}</td>`).join('')}</tr>
+    <tr><td>Avg HVI in / out</td>${wasteBufferState.summary.map(s => `<td style="text-align:right;">${fmt(s.exposedHvi)} / ${fmt(s.unexposedHvi)}</td>`).join('')}</tr>`;
+  const rows = wasteBufferState.rows.map(row => `
+    <tr><td>${row.name}</td>${row.rings.map(ring => `<td style="text-align:right;" title="${ring.zones.map(n => n.name).join(', ')}">${ring.food.length} · ${ring.zones.length}</td>`).join('')}</tr>`).join('');
+  box.innerHTML = `
+    <table style="width:100%; font-size:12px;"><tr><th>All facilities</th>${head}</tr>${summary}</table>
+    <div style="max-height:180px; overflow:auto; margin-top:6px;">
+      <table style="width:100%; font-size:12px;"><tr><th>Facility</th>${head}</tr>${rows}</table>
+    </div>
+    <small class="muted">Per facility: food outlets · heat zones (hover for names)</small>
+  `;
+}
+
+function wireWasteBufferControls(){
+  const toggle = document.getElementById('toggleWasteBuffers');
+  const radiiEl = document.getElementById('wasteBufferRadii');
+  if (radiiEl){
+    radiiEl.value = wasteBufferState.radii.join(', ');
+    radiiEl.addEventListener('change', () => {
+      const radii = parseBufferRadii(radiiEl.value);
+      if (!radii.length) { wrn('waste buffers: no valid radii in', radiiEl.value); radiiEl.value = wasteBufferState.radii.join(', '); return; }
+      wasteBufferState.radii = radii;
+      radiiEl.value = radii.join(', ');
+      if (wasteBufferState.enabled) runWasteExposure().catch(err => console.error('waste exposure failed', err));
+    });
+  }
+  if (toggle) toggle.addEventListener('change', e => {
+    wasteBufferState.enabled = e.target.checked;
+    if (e.target.checked) runWasteExposure().catch(err => console.error('waste exposure failed', err));
+    else {
+      wasteBufferState.version++; // drop a run still in the pipeline
+      if (wasteBufferLayer && map.hasLayer(wasteBufferLayer)) map.removeLayer(wasteBufferLayer);
+      const box = document.getElementById('waste-exposure');
+      if (box) box.innerHTML = '';
+    }
+  });
+}
+
+// ---------- REGION ANALYSIS (draw-to-select) ----------
+// normalizes a drawn circle/rectangle/polygon -> { shape, contains(lat, lon), bbox, areaKm2, center };
+// `shape` is the cloneable form the pipeline tests against (see regionContains)
+function regionFromLayer(layer){
+  if (layer instanceof L.Circle){
+    const c = layer.getLatLng(), r = layer.getRadius();
+    const b = layer.getBounds();
+    const shape = { circle: { lat: c.lat, lon: c.lng, meters: r } };
+    return {
+      kind: 'circle',
+      shape,
+      contains: (lat, lon) => regionContains(shape, lat, lon),
+      bbox: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()],
+      areaKm2: Math.PI * (r/1000)**2,
+      center: [c.lat, c.lng]
+    };
+  }
+  const geom = layer.toGeoJSON().geometry;
+  const shape = { geometry: geom };
+  return {
+    kind: layer instanceof L.Rectangle ? 'rectangle' : 'polygon',
+    shape,
+    contains: (lat, lon) => regionContains(shape, lat, lon),
+    bbox: geometryBBox(geom),
+    areaKm2: geometryAreaKm2(geom),
+    center: geometryCentroid(geom)
+  };
+}
+
+function scoreHistogram(values, bins){
+  const vals = values.filter(v => v !== null && !isNaN(v));
+  if (!vals.length) return [];
+  const min = Math.min(...vals), max = Math.max(...vals);
+  const width = (max - min)/bins || 1;
+  const out = Array.from({ length: max > min ? bins : 1 }, (_, i) => ({ from: min + i*width, to: min + (i+1)*width, count: 0 }));
+  vals.forEach(v => { out[Math.min(out.length - 1, Math.floor((v - min)/width))].count++; });
+  return out;
+}
+
+// the zone sampling runs in the pipeline; progress(fraction) follows it
+async function analyzeRegion(region, progress){
+  const inside = p => p.lon >= region.bbox[0] && p.lon <= region.bbox[2] && p.lat >= region.bbox[1] && p.lat <= region.bbox[3] && region.contains(p.lat, p.lon);
+
+  // heat zones: share of grid samples falling in each zone gives overlap area and HVI weights
+  const candidates = neighborhoodStats;
+  const sampled = await runPipelineTask('regionSample', {
+    shape: region.shape, bbox: region.bbox, zones: candidates.map(z => z.feature.geometry), samples: REGION_SAMPLES
+  }, (done, total) => progress?.(done/total));
+  const samples = sampled.samples;
+  const zoneHits = new Map(candidates.map((zone, k) => [zone, sampled.hits[k]]).filter(([, h]) => h));
+  const zones = [...zoneHits].map(([zone, hits]) => ({ zone, share: samples ? hits/samples : 0 })).sort((a,b) => b.share - a.share);
+  const weighted = zones.filter(z => z.zone.hvi !== null);
+  const weight = weighted.reduce((a, z) => a + z.share, 0);
+  const hvi = weight ? weighted.reduce((a, z) => a + z.share*z.zone.hvi, 0)/weight : null;
+
+  const food = layerState.food.points.filter(inside);
+  const waste = layerState.waste.points.filter(inside);
+  return {
+    region,
+    zones, hvi,
+    coverage: samples ? [...zoneHits.values()].reduce((a,b)=>a+b,0)/samples : 0,
+    food: { count: food.length, stats: summarizeValues(food.map(p => p.score)), bins: scoreHistogram(food.map(p => p.score), REGION_SCORE_BINS) },
+    waste: { count: waste.length, tons: waste.reduce((a, p) => a + (p.tons ?? 0), 0), names: waste.map(p => p.name) }
+  };
+}
+
+// POWER is ~0.5° resolution, so the region centre represents the whole area
+async function regionPowerRows(region){
+  const query = snapshotPowerQuery();
+  if (!region.center) return ['NASA POWER data unavailable'];
+  try {
+    const { series } = readPowerSeries(await fetchPowerPoint(region.center[0], region.center[1], query), query.parameters);
+    return query.parameters.map(key => {
+      const st = summarizeValues(series[key]);
+      const p = POWER_PARAMETERS[key] ?? { label:key, unit:'' };
+      return st.n ? `${p.label}: ${st.mean.toFixed(1)} avg (${st.min.toFixed(1)}–${st.max.toFixed(1)}) ${p.unit}` : `${p.label}: N/A`;
+    });
+  } catch(err){
+    console.error('region POWER fetch failed', err);
+    return ['NASA POWER data unavailable'];
+  }
+}
+
+function regionStatsHtml(stats, powerRows){
+  const fmt = (v, d = 1) => v === null || v === undefined ? 'N/A' : v.toFixed(d);
+  const f = stats.food.stats;
+  const zoneList = stats.zones.slice(0, 6).map(z => `${z.zone.name} (${(100*z.share).toFixed(0)}%, HVI ${fmt(z.zone.hvi, 0)})`).join('<br>');
+  const bins = stats.food.bins.map(b => `${fmt(b.from, 1)}–${fmt(b.to, 1)}: ${b.count}`).join(' · ');
+  return `
+    <strong>Selected ${stats.region.kind}</strong> — ${stats.region.areaKm2.toFixed(2)} km²<br>
+    <strong>Heat zones:</strong> ${stats.zones.length} (${(100*stats.coverage).toFixed(0)}% of area), area-weighted HVI ${fmt(stats.hvi)}<br>
+    ${zoneList ? `<small>${zoneList}</small><br>` : ''}
+    <strong>Food outlets:</strong> ${stats.food.count}${f.n ? ` — score ${fmt(f.mean, 2)} avg, ${fmt(f.median, 2)} median (${f.min}–${f.max})` : ''}<br>
+    ${bins ? `<small>Score distribution: ${bins}</small><br>` : ''}
+    <strong>Waste facilities:</strong> ${stats.waste.count} — ${stats.waste.tons.toFixed(1)} tons/day<br>
+    <strong>NASA POWER</strong> <small>(${formatPowerRange(powerQuery)})</small><br>
+    <small>${powerRows ? powerRows.join('<br>') : 'Loading…'}</small>
+  `;
+}
+
+async function showRegionStats(layer){
+  const seq = ++regionStatsSeq;
+  const panel = document.getElementById('region-stats');
+  let stats;
+  try {
+    stats = await analyzeRegion(regionFromLayer(layer), fraction => {
+      if (panel && seq === regionStatsSeq) panel.innerHTML = `<span class="muted">Analysing region… ${(100*fraction).toFixed(0)}%</span>`;
+    });
+  } catch(err){ console.error('region analysis failed', err); return; }
+  if (seq !== regionStatsSeq) return; // another region was drawn or clicked meanwhile
+  const render = rows => {
+    const html = regionStatsHtml(stats, rows);
+    if (panel && seq === regionStatsSeq) panel.innerHTML = html;
+    layer.bindPopup(html, { maxWidth: 320 });
+  };
+  render(null);
+  render(await regionPowerRows(stats.region));
+  dbg('region analysed', stats);
+}
+
+function initDrawTools(){
+  if (!L.Control.Draw) { wrn('Leaflet.draw not loaded — region analysis disabled'); return; }
+  regionLayer = new L.FeatureGroup().addTo(map);
+  const shape = { color:'#00d4ff', weight:2, fillOpacity:0.08 };
+  new L.Control.Draw({
+    position: 'topleft',
+    draw: { polygon: { shapeOptions: shape }, rectangle: { shapeOptions: shape }, circle: { shapeOptions: shape }, polyline:false, marker:false, circlemarker:false },
+    edit: { featureGroup: regionLayer }
+  }).addTo(map);
+
+  map.on(L.Draw.Event.DRAWSTART, () => { mapDrawing = true; });
+  map.on(L.Draw.Event.DRAWSTOP, () => { setTimeout(() => { mapDrawing = false; }, 0); });
+  map.on(`${L.Draw.Event.EDITSTART} ${L.Draw.Event.DELETESTART}`, () => { mapDrawing = true; });
+  map.on(`${L.Draw.Event.EDITSTOP} ${L.Draw.Event.DELETESTOP}`, () => { mapDrawing = false; });
+
+  map.on(L.Draw.Event.CREATED, e => {
+    regionLayer.addLayer(e.layer);
+    e.layer.on('click', () => showRegionStats(e.layer));
+    showRegionStats(e.layer);
+  });
+  map.on(L.Draw.Event.EDITED, e => e.layers.eachLayer(l => showRegionStats(l)));
+  map.on(L.Draw.Event.DELETED, () => {
+    const panel = document.getElementById('region-stats');
+    if (panel && !regionLayer.getLayers().length) panel.innerHTML = '<span class="muted">Draw a polygon, rectangle or circle on the map.</span>';
+  });
+}
+
+// ---------- EXPORT ----------
+function downloadBlob(content, filename, type){
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFilename(name, ext){ return `smart-nyc-${name}-${new Date().toISOString().slice(0,10)}.${ext}`; }
+
+function isLayerShown(def){ return !!(layerState[def.id].toggleEl?.checked && layerState[def.id].layer && map.hasLayer(layerState[def.id].layer)); }
+
+// the features a layer currently shows (hidden layers export nothing, filtered-out features are skipped)
+function exportableFeatures(def){
+  return isLayerShown(def) ? layerState[def.id].features.filter(f => passesLayerFilters(def, f)) : [];
+}
+
+function csvCell(v){
+  if (v === null || v === undefined) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(header, rows){
+  return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n');
+}
+
+function featuresToCsv(items){
+  const keys = [];
+  items.forEach(({ feature }) => Object.keys(feature.properties || {}).forEach(k => { if (!keys.includes(k) && typeof feature.properties[k] !== 'object') keys.push(k); }));
+  const rows = items.map(({ layer, feature }) => {
+    const c = getFeatureCentroid(feature);
+    return [layer, c ? c[0].toFixed(6) : '', c ? c[1].toFixed(6) : '', ...keys.map(k => feature.properties?.[k])];
+  });
+  return toCsv(['layer', 'centroid_lat', 'centroid_lon', ...keys], rows);
+}
+
+function xmlEscape(v){
+  return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function kmlCoords(coords){ return coords.filter(isLngLat).map(([x, y]) => `${x},${y}`).join(' '); }
+
+function kmlGeometry(geom){
+  if (!geom) return '';
+  switch (geom.type){
+    case 'Point': return `<Point><coordinates>${kmlCoords([geom.coordinates])}</coordinates></Point>`;
+    case 'LineString': return `<LineString><coordinates>${kmlCoords(geom.coordinates)}</coordinates></LineString>`;
+    case 'Polygon': return `<Polygon>${geom.coordinates.map((ring, i) =>
+      `<${i ? 'innerBoundaryIs' : 'outerBoundaryIs'}><LinearRing><coordinates>${kmlCoords(ring)}</coordinates></LinearRing></${i ? 'innerBoundaryIs' : 'outerBoundaryIs'}>`).join('')}</Polygon>`;
+    case 'MultiPoint': return `<MultiGeometry>${geom.coordinates.map(c => kmlGeometry({ type:'Point', coordinates:c })).join('')}</MultiGeometry>`;
+    case 'MultiLineString': return `<MultiGeometry>${geom.coordinates.map(c => kmlGeometry({ type:'LineString', coordinates:c })).join('')}</MultiGeometry>`;
+    case 'MultiPolygon': return `<MultiGeometry>${geom.coordinates.map(c => kmlGeometry({ type:'Polygon', coordinates:c })).join('')}</MultiGeometry>`;
+    case 'GeometryCollection': return `<MultiGeometry>${geom.geometries.map(kmlGeometry).join('')}</MultiGeometry>`;
+    default: return '';
+  }
+}
+
+function featuresToKml(items){
+  const placemarks = items.map(({ layer, feature }) => {
+    const props = feature.properties || {};
+    const data = Object.entries(props).filter(([, v]) => v !== null && v !== undefined && typeof v !== 'object')
+      .map(([k, v]) => `<Data name="${xmlEscape(k)}"><value>${xmlEscape(v)}</value></Data>`).join('');
+    return `<Placemark><name>${xmlEscape(props.name ?? layer)}</name><ExtendedData><Data name="layer"><value>${xmlEscape(layer)}</value></Data>${data}</ExtendedData>${kmlGeometry(feature.geometry)}</Placemark>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Smart New York export</name>${placemarks.join('')}</Document></kml>`;
+}
+
+function exportLayers(layerId, format){
+  const defs = layerId === 'all' ? LAYER_DEFS : LAYER_DEFS.filter(d => d.id === layerId);
+  const items = [];
+  defs.forEach(def => exportableFeatures(def).forEach(feature => items.push({ layer: def.id, feature })));
+  if (!items.length) { wrn('export: nothing shown for', layerId); return; }
+  const name = layerId === 'all' ? 'layers' : layerId;
+  if (format === 'csv') downloadBlob(featuresToCsv(items), exportFilename(name, 'csv'), 'text/csv');
+  else if (format === 'kml') downloadBlob(featuresToKml(items), exportFilename(name, 'kml'), 'application/vnd.google-earth.kml+xml');
+  else {
+    const fc = { type:'FeatureCollection', features: items.map(({ layer, feature }) => ({ type:'Feature', properties: Object.assign({ layer }, feature.properties), geometry: feature.geometry })) };
+    downloadBlob(JSON.stringify(fc), exportFilename(name, 'geojson'), 'application/geo+json');
+  }
+  dbg('exported', items.length, 'features as', format);
+}
+
+function chartDataCsv(){
+  const el = document.getElementById('chart');
+  const rows = [];
+  (el?.data || []).filter(t => t.visible !== false).forEach(t => (t.x || []).forEach((x, i) => rows.push([t.name, x, t.y?.[i], t.text?.[i]])));
+  return toCsv(['trace', 'x', 'y', 'label'], rows);
+}
+
+function exportChart(format){
+  if (!chartReady) return;
+  if (format === 'csv') { downloadBlob(chartDataCsv(), exportFilename('chart', 'csv'), 'text/csv'); return; }
+  Plotly.downloadImage('chart', { format, filename: exportFilename('chart', format).replace(/\.\w+$/, ''), width: 1200, height: 700 })
+    .catch(err => console.error('chart export failed', err));
+}
+
+function wireExportControls(){
+  const layerEl = document.getElementById('exportLayer');
+  const formatEl = document.getElementById('exportFormat');
+  const btn = document.getElementById('exportLayerBtn');
+  if (layerEl) layerEl.innerHTML = `<option value="all">All shown layers</option>${LAYER_DEFS.map(d => `<option value="${d.id}">${d.label}</option>`).join('')}`;
+  if (btn) btn.addEventListener('click', () => exportLayers(layerEl?.value ?? 'all', formatEl?.value ?? 'geojson'));
+  document.querySelectorAll('[data-chart-export]').forEach(b => b.addEventListener('click', () => exportChart(b.dataset.chartExport)));
+}
+
+// ---------- PERMALINK ----------
+// URL hash: #map=<zoom>/<lat>/<lng>&layers=food,heat,nasaRaster&power=<start>-<end>&params=T2M_MAX,...&gibs=<date>&product=<id>
+//           &frame=<date>   (animation frame, only when it isn't the anchor date)
+//           &metrics=food:mean,heat:food_count.mean,waste:sum
+// (nav anchors like #dashboard carry no `map=` and are left alone)
+function permalinkToggles(){
+  const out = {};
+  LAYER_DEFS.forEach(def => { out[def.id] = layerState[def.id].toggleEl; });
+  out.nasaRaster = toggleNASARasterEl;
+  out.nasaGeo = toggleNASAGeoEl;
+  return out;
+}
 
-const NASA_POWER_START = '20250101';
-const NASA_POWER_END   = '20250110';
+function readPermalink(hash = location.hash){
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (!params.has('map')) return null;
+  const out = {};
+  const [z, lat, lng] = params.get('map').split('/').map(Number);
+  if ([z, lat, lng].every(isFinite)) out.view = { center: [lat, lng], zoom: z };
+  if (params.has('layers')) out.layers = params.get('layers').split(',').filter(Boolean);
+  const power = /^(\d{8})-(\d{8})$/.exec(params.get('power') || '');
+  if (power && power[1] <= power[2]) out.power = { start: power[1], end: power[2] };
+  if (params.has('params')){
+    const keys = params.get('params').split(',').filter(k => POWER_PARAMETERS[k]);
+    if (keys.length) out.powerParams = keys;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(params.get('gibs') || '')) out.gibsDate = params.get('gibs');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(params.get('frame') || '')) out.gibsFrame = params.get('frame');
+  if (GIBS_PRODUCTS[params.get('product')]) out.gibsProduct = params.get('product');
+  if (params.has('metrics')){
+    out.chartMetrics = {};
+    params.get('metrics').split(',').forEach(pair => {
+      const [id, agg] = pair.split(':');
+      const def = LAYER_DEFS.find(d => d.id === id);
+      if (def && chartMetricChoices(def).includes(agg)) out.chartMetrics[id] = agg;
+    });
+  }
+  return out;
+}
 
-// ---------- MAP INIT ----------
-const map = L.map('map').setView([40.7128, -74.0060], 11);
-L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-  maxZoom: 19,
-  attribution: '&copy; OpenStreetMap contributors'
-}).addTo(map);
+function buildPermalinkHash(){
+  const c = map.getCenter();
+  const layers = Object.entries(permalinkToggles()).filter(([, el]) => el?.checked).map(([id]) => id);
+  const parts = [
+    `map=${map.getZoom()}/${c.lat.toFixed(5)}/${c.lng.toFixed(5)}`,
+    `layers=${layers.join(',')}`,
+    `power=${powerQuery.start}-${powerQuery.end}`,
+    `params=${powerQuery.parameters.join(',')}`,
+    `gibs=${gibsState.anchor}`,
+    ...(gibsState.date !== gibsState.anchor ? [`frame=${gibsState.date}`] : []),
+    `product=${gibsState.product}`,
+    `metrics=${LAYER_DEFS.map(def => `${def.id}:${chartMetricChoice[def.id]}`).join(',')}`
+  ];
+  return `#${parts.join('&')}`;
+}
 
-// Create a dedicated pane for point markers so they render above polygons
-if (!map.getPane('markerPane')) {
-  map.createPane('markerPane');
-  map.getPane('markerPane').style.zIndex = 650; // above overlayPane (400) and markerPane default (600)
-  map.getPane('markerPane').style.pointerEvents = 'auto';
+function schedulePermalinkUpdate(){
+  clearTimeout(permalinkTimer);
+  permalinkTimer = setTimeout(() => {
+    lastPermalinkHash = buildPermalinkHash();
+    if (location.hash !== lastPermalinkHash) history.replaceState(null, '', lastPermalinkHash);
+  }, 300);
 }
 
-// ---------- LAYERS & STATE ----------
-let foodLayer = null;
-let heatLayer = null;
-let wasteLayer = null;
-let nasaRasterLayer = null;
-let nasaPowerPointsLayer = null;
-let heatTestFallbackLayer = null; // optional fallback
+// settings that must be in place before the controls are wired (POWER + GIBS selection)
+function applyPermalinkSettings(p){
+  if (!p) return;
+  if (p.power) Object.assign(powerQuery, p.power);
+  if (p.powerParams) powerQuery.parameters = p.powerParams;
+  if (p.gibsProduct) gibsState.product = p.gibsProduct;
+  if (p.gibsDate){
+    gibsState.anchor = p.gibsDate;
+    // a frame outside the anchor's animation window falls back to the anchor
+    const frame = p.gibsFrame || p.gibsDate, back = gibsDaysBeforeAnchor(frame);
+    gibsState.date = back >= 0 && back < GIBS_ANIMATION_DAYS ? frame : p.gibsDate;
+  }
+  if (p.chartMetrics) Object.assign(chartMetricChoice, p.chartMetrics);
+}
 
-let chartReady = false;
+function applyPermalinkToggles(p, dispatch){
+  if (!p?.layers) return;
+  Object.entries(permalinkToggles()).forEach(([id, el]) => {
+    if (!el) return;
+    const want = p.layers.includes(id);
+    if (el.checked === want) return;
+    el.checked = want;
+    if (dispatch) el.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
 
-let toggleFoodEl, toggleHeatEl, toggleWasteEl, toggleNASARasterEl, toggleNASAGeoEl;
+// a pasted link in an already-open tab: push every setting through the live controls
+function applyPermalinkLive(p){
+  const powerChanged = (p.power && (p.power.start !== powerQuery.start || p.power.end !== powerQuery.end)) ||
+    (p.powerParams && p.powerParams.join(',') !== powerQuery.parameters.join(','));
+  applyPermalinkSettings(p);
+  if (powerChanged){
+    const startEl = document.getElementById('powerStart'), endEl = document.getElementById('powerEnd');
+    if (startEl) startEl.value = powerDateToISO(powerQuery.start);
+    if (endEl) endEl.value = powerDateToISO(powerQuery.end);
+    document.querySelectorAll('input[name="powerParam"]').forEach(i => { i.checked = powerQuery.parameters.includes(i.value); });
+    schedulePowerRefresh();
+  }
+  const productEl = document.getElementById('gibsProduct'), dateEl = document.getElementById('gibsDate');
+  if (productEl) productEl.value = gibsState.product;
+  if (dateEl) dateEl.value = gibsState.anchor;
+  syncGibsSlider();
+  setGibsFrame(gibsState.date);
+  document.querySelectorAll('[data-chart-metric]').forEach(sel => { sel.value = chartMetricChoice[sel.dataset.chartMetric]; });
+  updateAggregatesChart();
+  applyPermalinkToggles(p, true);
+  if (p.view) map.setView(p.view.center, p.view.zoom);
+}
 
-// store point-level metric arrays (for chart aggregation)
-const heatPoints = []; // {name, lat, lon, hvi}
-const foodPoints = []; // {name, lat, lon, score?}
-const wastePoints = []; // {name, lat, lon, tons?}
+function wirePermalink(){
+  map.on('moveend', schedulePermalinkUpdate);
+  const controls = document.getElementById('controls');
+  if (controls) controls.addEventListener('change', schedulePermalinkUpdate);
+  window.addEventListener('hashchange', () => {
+    if (location.hash === lastPermalinkHash) return;
+    const p = readPermalink();
+    if (p) applyPermalinkLive(p);
+  });
+  schedulePermalinkUpdate();
+}
 
-// ---------- HELPERS ----------
-function safeLayerGroup(){ return L.layerGroup(); }
-function dbg(...a){ console.debug('[APP]', ...a); }
-function wrn(...a){ console.warn('[APP]', ...a); }
+// ---------- NASA GIBS RASTER ----------
+function addDaysISO(iso, n){
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + n*86400000).toISOString().slice(0,10);
+}
 
-function getLayerCount(layer){
-  try {
-    if (!layer || typeof layer.getLayers !== 'function') return 0;
-    return layer.getLayers().reduce((acc, child) => {
-      if (child && typeof child.getLayers === 'function') return acc + getLayerCount(child);
-      const isMarker = (child instanceof L.Marker) || (child instanceof L.CircleMarker);
-      return acc + (isMarker ? 1 : 0);
-    }, 0);
-  } catch(e){ wrn('getLayerCount err', e); return 0; }
+function gibsDaysBeforeAnchor(iso){
+  return Math.round((Date.parse(`${gibsState.anchor}T00:00:00Z`) - Date.parse(`${iso}T00:00:00Z`)) / 86400000);
 }
 
-function parseGeom(m){
-  if (!m) return null;
-  if (typeof m === 'object') return m;
-  if (typeof m === 'string'){
-    try { return JSON.parse(m); } catch(e){ /* not JSON */ return null; }
-  }
-  return null;
+// slider runs oldest (0) .. anchor (GIBS_ANIMATION_DAYS - 1)
+function syncGibsSlider(){
+  const sliderEl = document.getElementById('gibsSlider');
+  if (sliderEl) sliderEl.value = GIBS_ANIMATION_DAYS - 1 - gibsDaysBeforeAnchor(gibsState.date);
 }
 
-function extractFirstCoordArray(obj){
-  if (!obj) return null;
-  if (Array.isArray(obj)) {
-    if (obj.length >= 2 && typeof obj[0] === 'number' && typeof obj[1] === 'number') return [obj[0], obj[1]];
-    for (const c of obj){
-      const f = extractFirstCoordArray(c);
-      if (f) return f;
-    }
-    return null;
-  } else if (typeof obj === 'object') {
-    for (const k of Object.keys(obj)){
-      const f = extractFirstCoordArray(obj[k]);
-      if (f) return f;
-    }
-    return null;
-  }
-  return null;
-}
-
-function averageLngLat(coordsArray){
-  if (!coordsArray || !coordsArray.length) return null;
-  let sx=0, sy=0, n=0;
-  for (const c of coordsArray){
-    if (!Array.isArray(c) || c.length < 2) continue;
-    const [lng, lat] = c;
-    if (!isFinite(lng) || !isFinite(lat)) continue;
-    sx += lng; sy += lat; n++;
-  }
-  if (!n) return null;
-  return [sy/n, sx/n]; // [lat, lng]
-}
-
-function getFeatureCentroid(feature){
-  if (!feature) return null;
-  let geom = feature.geometry ?? feature.the_geom ?? null;
-  geom = parseGeom(geom);
-  if (!geom) return null;
-  const t = geom.type;
-  if (t === 'Point' && Array.isArray(geom.coordinates)){
-    const [lng, lat] = geom.coordinates;
-    return (isFinite(lat) && isFinite(lng)) ? [lat, lng] : null;
-  }
-  if (t === 'MultiPoint' && Array.isArray(geom.coordinates) && geom.coordinates[0]){
-    const [lng, lat] = geom.coordinates[0];
-    return (isFinite(lat) && isFinite(lng)) ? [lat, lng] : null;
-  }
-  if (t === 'Polygon' && Array.isArray(geom.coordinates)){
-    const outer = geom.coordinates[0] || [];
-    return averageLngLat(outer);
-  }
-  if (t === 'MultiPolygon' && Array.isArray(geom.coordinates)){
-    const firstPoly = geom.coordinates[0]; const outer = Array.isArray(firstPoly) ? (firstPoly[0] || []) : [];
-    return averageLngLat(outer);
-  }
-  if (t === 'GeometryCollection' && Array.isArray(geom.geometries)){
-    for (const g of geom.geometries){
-      if (!g) continue;
-      if (g.type === 'Point' && Array.isArray(g.coordinates)){
-        const [lng, lat] = g.coordinates;
-        if (isFinite(lat) && isFinite(lng)) return [lat, lng];
-      }
-      if (g.type === 'Polygon' && Array.isArray(g.coordinates) && g.coordinates[0]) {
-        return averageLngLat(g.coordinates[0]);
-      }
-    }
+function buildGibsTemplate(productId, dateISO){
+  const p = GIBS_PRODUCTS[productId];
+  return `https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/${productId}/default/${dateISO}/GoogleMapsCompatible_Level${p.level}/{z}/{y}/{x}.${p.format}`;
+}
+
+// keeps one tile layer per product; a date change only swaps the URL
+function ensureNasaRaster(){
+  const p = GIBS_PRODUCTS[gibsState.product];
+  const tpl = buildGibsTemplate(gibsState.product, gibsState.date);
+  if (nasaRasterLayer && nasaRasterLayer.gibsProduct === gibsState.product){
+    if (nasaRasterLayer.gibsTemplate !== tpl) { nasaRasterLayer.setUrl(tpl); nasaRasterLayer.gibsTemplate = tpl; }
+    return;
   }
-  const first = extractFirstCoordArray(geom);
-  if (first){
-    const [lng, lat] = first;
-    return (isFinite(lat) && isFinite(lng)) ? [lat, lng] : null;
+  const onMap = nasaRasterLayer && map.hasLayer(nasaRasterLayer);
+  if (onMap) map.removeLayer(nasaRasterLayer);
+  // maxNativeZoom tells Leaflet tiles only exist up to the product level — it scales them beyond that
+  nasaRasterLayer = L.tileLayer(tpl, { minZoom: 2, maxNativeZoom: p.level, maxZoom: 19, opacity: p.opacity, attribution: `NASA GIBS — ${p.label}` });
+  nasaRasterLayer.gibsProduct = gibsState.product;
+  nasaRasterLayer.gibsTemplate = tpl;
+  trackTileHealth(nasaRasterLayer);
+  if (onMap) map.addLayer(nasaRasterLayer);
+  dbg('NASA raster prepared (template):', tpl, `maxNativeZoom=${p.level}`);
+}
+
+// clamp zoom to native if map currently higher than the product's native tiles
+function clampZoomToGibsLevel(){
+  const level = GIBS_PRODUCTS[gibsState.product].level;
+  if (map.getZoom() > level) {
+    dbg(`Map zoom > ${level}; setting to ${level} so NASA tiles (maxNativeZoom=${level}) display correctly`);
+    map.setZoom(level);
   }
-  return null;
 }
 
-function getHeatColor(score){ return score > 75 ? '#d73027' : score > 50 ? '#fc8d59' : score > 25 ? '#fee08b' : '#ffffbf'; }
+// one verdict per load cycle: all tiles ok, some failed (degraded) or none came back (failed)
+function trackTileHealth(layer){
+  let oks = 0, errors = 0;
+  layer.on('loading', () => { oks = 0; errors = 0; markSourceLoading('gibs'); });
+  layer.on('tileload', () => { oks++; });
+  layer.on('tileerror', () => { errors++; });
+  layer.on('load', () => {
+    if (!errors) recordSourceSuccess('gibs');
+    else if (oks) recordSourceSuccess('gibs', { degraded: true, note: `${errors} of ${oks + errors} tiles failed` });
+    else recordSourceFailure('gibs', new Error('no tiles for this date/product'));
+  });
+}
 
-// ---------- LOAD LAYERS ----------
-async function loadWasteLayer(){
-  try {
-    const res = await fetch(WASTE_URL);
-    if (!res.ok) throw new Error(`Waste fetch HTTP ${res.status}`);
-    const data = await res.json();
-    dbg('waste fetched', (data && data.features) ? `${data.features.length} features` : data);
-
-    wastePoints.length = 0;
-
-    const geo = L.geoJSON(data, {
-      style: { color:'#666', weight:1, fillOpacity:0.15 },
-      pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius:6, fillColor:'#888', color:'#555', fillOpacity:0.9, pane: 'markerPane' }),
-      onEachFeature: (f, l) => {
-        const name = f.properties?.name ?? f.properties?.facility ?? 'Unknown';
-        const info = f.properties?.tons_per_day ?? f.properties?.description ?? '';
-        l.bindPopup(`<strong>${name}</strong><br>${info}`);
+function setGibsFrame(dateISO){
+  gibsState.date = dateISO;
+  const label = document.getElementById('gibsDateLabel');
+  if (label) label.textContent = dateISO;
+  ensureNasaRaster();
+  schedulePermalinkUpdate();
+}
+
+function stopGibsAnimation(){
+  clearInterval(gibsState.timer);
+  gibsState.timer = null;
+  const btn = document.getElementById('gibsPlay');
+  if (btn) btn.textContent = 'Play';
+}
+
+function wireGibsControls(){
+  const productEl = document.getElementById('gibsProduct');
+  const dateEl = document.getElementById('gibsDate');
+  const sliderEl = document.getElementById('gibsSlider');
+  const playEl = document.getElementById('gibsPlay');
+  const lastDay = sliderEl ? GIBS_ANIMATION_DAYS - 1 : 0;
+  const sliderDate = () => addDaysISO(gibsState.anchor, Number(sliderEl.value) - lastDay);
+
+  if (productEl){
+    productEl.innerHTML = Object.entries(GIBS_PRODUCTS).map(([id, p]) =>
+      `<option value="${id}"${id === gibsState.product ? ' selected' : ''}>${p.label}</option>`
+    ).join('');
+    productEl.addEventListener('change', () => {
+      gibsState.product = productEl.value;
+      ensureNasaRaster();
+      if (toggleNASARasterEl?.checked) clampZoomToGibsLevel();
+    });
+  }
+  if (dateEl){
+    dateEl.max = new Date().toISOString().slice(0,10);
+    dateEl.value = gibsState.anchor;
+    dateEl.addEventListener('change', () => {
+      if (!dateEl.value) return;
+      gibsState.anchor = dateEl.value;
+      if (sliderEl) sliderEl.value = lastDay;
+      setGibsFrame(gibsState.anchor);
+    });
+  }
+  if (sliderEl){
+    sliderEl.min = 0;
+    sliderEl.max = lastDay;
+    syncGibsSlider();
+    sliderEl.addEventListener('input', () => setGibsFrame(sliderDate()));
+  }
+  if (playEl && sliderEl){
+    playEl.addEventListener('click', () => {
+      if (gibsState.timer) { stopGibsAnimation(); return; }
+      if (toggleNASARasterEl && !toggleNASARasterEl.checked){
+        toggleNASARasterEl.checked = true;
+        toggleNASARasterEl.dispatchEvent(new Event('change'));
       }
+      playEl.textContent = 'Pause';
+      gibsState.timer = setInterval(() => {
+        sliderEl.value = Number(sliderEl.value) >= lastDay ? 0 : Number(sliderEl.value) + 1;
+        setGibsFrame(sliderDate());
+      }, GIBS_FRAME_MS);
     });
+  }
+  setGibsFrame(gibsState.date);
+}
 
-    const pointLayer = L.layerGroup();
-    (data.features || []).forEach((f,i) => {
-      const c = getFeatureCentroid(f);
-      if (!c) { wrn('waste feature missing geometry', i, f.properties); return; }
-      const [lat,lng] = c;
-      const tons = f.properties?.tons_per_day ? Number(f.properties.tons_per_day) : null;
-      const popup = `<strong>${f.properties?.name ?? f.properties?.facility ?? 'Waste'}</strong><br>${tons ?? f.properties?.description ?? ''}`;
-      const m = L.circleMarker([lat,lng], { radius:7, fillColor:'#888', color:'#111', weight:1.2, fillOpacity:0.95, pane:'markerPane' }).bindPopup(popup);
-      pointLayer.addLayer(m);
-      wastePoints.push({ name: f.properties?.name ?? f.properties?.facility ?? `waste-${i}`, lat, lon: lng, tons });
-    });
+// ---------- NASA POWER QUERY ----------
+function powerDateToISO(d){ return `${d.slice(0,4)}-${d.slice(4,6)}-${d.slice(6,8)}`; }
+function isoToPowerDate(iso){ return iso.replace(/-/g, ''); }
 
-    // keep markers above polygons
-    pointLayer.eachLayer(l => { if (l && l.bringToFront) try { l.bringToFront(); } catch(e){} });
+function buildPowerUrl(lat, lon, query){
+  return `${NASA_POWER_BASE}?parameters=${query.parameters.join(',')}&community=RE&longitude=${lon}&latitude=${lat}&start=${query.start}&end=${query.end}&format=JSON`;
+}
 
-    wasteLayer = L.layerGroup([geo, pointLayer]);
-    dbg('waste layer ready — markers:', getLayerCount(wasteLayer));
-  } catch (err){
-    console.error('Waste load error', err);
-    wasteLayer = safeLayerGroup();
-  } finally { updateAllAggregatesAndChart(); }
+// every selected parameter rides in one request per location; identical URLs share one promise
+// (re)inserts as most recently used and drops the oldest entries past POWER_REQUEST_CACHE_MAX
+function rememberPowerRequest(url, req){
+  powerRequestCache.delete(url);
+  powerRequestCache.set(url, req);
+  while (powerRequestCache.size > POWER_REQUEST_CACHE_MAX) powerRequestCache.delete(powerRequestCache.keys().next().value);
 }
 
-async function loadFoodLayer(){
-  try {
-    const res = await fetch(FOOD_URL);
-    if (!res.ok) throw new Error(`Food fetch HTTP ${res.status}`);
-    const data = await res.json();
-    dbg('food fetched', (data && data.features) ? `${data.features.length} features` : data);
-
-    foodPoints.length = 0;
-
-    const geo = L.geoJSON(data, {
-      style: { color:'#00d4ff', weight:2, fillColor:'#00d4ff', fillOpacity:0.25 },
-      pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius:5, fillColor:'#00d4ff', color:'#003b4d', fillOpacity:0.95, pane: 'markerPane' }),
-      onEachFeature: (f,l) => {
-        const name = f.properties?.businessname ?? f.properties?.name ?? 'Food';
-        const score = f.properties?.score ?? f.properties?.type ?? '';
-        l.bindPopup(`<strong>${name}</strong><br>${score}`);
-      }
+function fetchPowerPoint(lat, lon, query = powerQuery){
+  const url = buildPowerUrl(lat, lon, query);
+  let req = powerRequestCache.get(url);
+  if (!req){
+    if (sourceHealth.power?.status !== 'loading') markSourceLoading('power');
+    req = cachedJson(url, () => fetchJson(url, { signal: powerAbort.signal }), {
+      onFresh: ({ data, fetchedAt }) => {
+        rememberPowerRequest(url, Promise.resolve(data));
+        recordSourceSuccess('power', { asOf: fetchedAt });
+        schedulePowerRedraw();
+      },
+      onStaleError: err => recordSourceFailure('power', new Error(`${err.message}; showing cached data`))
+    }).then(({ data, attempts, fetchedAt }) => {
+      recordSourceSuccess('power', { degraded: attempts > 1, note: attempts > 1 ? `needed ${attempts} attempts` : null, asOf: fetchedAt });
+      return data;
+    });
+    req.catch(err => {
+      if (powerRequestCache.get(url) === req) powerRequestCache.delete(url); // let a failed request be retried
+      if (!isAbortError(err)) recordSourceFailure('power', err);
     });
+  }
+  rememberPowerRequest(url, req);
+  return req;
+}
 
-    const pointLayer = L.layerGroup();
-    (data.features || []).forEach((f,i) => {
-      const c = getFeatureCentroid(f);
-      if (!c) { wrn('food feature missing geometry', i, f.properties); return; }
-      const [lat,lng] = c;
-      const score = (f.properties && (f.properties.score || f.properties.score === 0)) ? Number(f.properties.score) : null;
-      const popup = `<strong>${f.properties?.businessname ?? f.properties?.name ?? 'Food'}</strong><br>${score ?? f.properties?.type ?? ''}`;
-      const m = L.circleMarker([lat,lng], { radius:7, fillColor:'#00d4ff', color:'#002b3a', weight:1.2, fillOpacity:0.95, pane:'markerPane' }).bindPopup(popup);
-      pointLayer.addLayer(m);
-      foodPoints.push({ name: f.properties?.businessname ?? f.properties?.name ?? `food-${i}`, lat, lon: lng, score });
+// -> { dates:['YYYY-MM-DD'], series:{ PARAM:[number|NaN] } }; POWER marks gaps with -999
+function readPowerSeries(payload, parameters){
+  const block = payload?.properties?.parameter || {};
+  const keys = Object.keys(block[parameters[0]] || {});
+  const series = {};
+  parameters.forEach(p => {
+    const obj = block[p] || {};
+    series[p] = keys.map(k => {
+      const v = obj[k];
+      return (v === null || v === undefined || Number(v) === -999) ? NaN : Number(v);
     });
+  });
+  return { dates: keys.map(powerDateToISO), series };
+}
 
-    pointLayer.eachLayer(l => { if (l && l.bringToFront) try { l.bringToFront(); } catch(e){} });
+function snapshotPowerQuery(){
+  return { start: powerQuery.start, end: powerQuery.end, parameters: powerQuery.parameters.slice(), version: powerQuery.version };
+}
 
-    foodLayer = L.layerGroup([geo, pointLayer]);
-    dbg('food layer ready — markers:', getLayerCount(foodLayer));
-  } catch (err){
-    console.error('Food load error', err);
-    foodLayer = safeLayerGroup();
-  } finally { updateAllAggregatesAndChart(); }
+function formatPowerRange(query){ return `${powerDateToISO(query.start)} → ${powerDateToISO(query.end)}`; }
+
+// revalidated POWER responses: redraw from powerRequestCache without aborting anything
+function schedulePowerRedraw(){
+  clearTimeout(powerRedrawTimer);
+  powerRedrawTimer = setTimeout(() => {
+    Promise.all([ renderChart(), updateNasaPowerPopups() ]).catch(err => console.error('POWER redraw failed', err));
+  }, 400);
+}
+
+function schedulePowerRefresh(){
+  clearTimeout(powerRefreshTimer);
+  powerRefreshTimer = setTimeout(refreshPowerData, 400);
 }
 
-async function loadHeatLayer(){
+// re-fetch chart + point popups for the current selection in a single parallel batch
+async function refreshPowerData(){
+  powerAbort.abort(); // requests for the previous selection are no longer needed
+  powerAbort = new AbortController();
+  powerQuery.version++;
+  if (tempSurfaceState.enabled && tempSurfaceState.source === 'power') runTempSurface().catch(err => console.error('temperature surface failed', err));
   try {
-    const res = await fetch(HEAT_URL);
-    if (!res.ok) throw new Error(`Heat fetch HTTP ${res.status}`);
-    const data = await res.json();
-    dbg('heat fetched', (data && data.features) ? `${data.features.length} features` : data);
-
-    heatPoints.length = 0;
-
-    // normalize and find centroid
-    const normalized = (data.features || []).map(f => {
-      const g = parseGeom(f.geometry ?? f.the_geom ?? null);
-      if (!g) return null;
-      const props = Object.assign({}, f.properties ?? f);
-      props.hvi_score = props.hvi_score ?? props.HVI ?? props.hvi ?? props.hviScore ?? null;
-      return { type:'Feature', properties: props, geometry: g };
-    }).filter(Boolean);
-
-    const geojson = { type:'FeatureCollection', features: normalized };
-
-    const geo = L.geoJSON(geojson, {
-      style: feature => ({ color:'#ff5e5e', weight:1.2, fillColor:getHeatColor(feature.properties?.hvi_score ?? 0), fillOpacity:0.6 }),
-      onEachFeature: (f, l) => l.bindPopup(`<strong>${f.properties?.neighborhood ?? 'Unknown'}</strong><br>HVI: ${f.properties?.hvi_score ?? 'N/A'}`)
-    });
-
-    const pointLayer = L.layerGroup();
-    (geojson.features || []).forEach((f,i) => {
-      const c = getFeatureCentroid(f);
-      if (!c) { wrn('heat feature missing geometry', i, f.properties); return; }
-      const [lat, lng] = c;
-      const score = (f.properties && (f.properties.hvi_score || f.properties.hvi_score === 0)) ? Number(f.properties.hvi_score) : null;
-      const popup = `<strong>${f.properties?.neighborhood ?? 'Unknown'}</strong><br>HVI: ${score ?? 'N/A'}`;
-      const m = L.circleMarker([lat,lng], { radius:9, fillColor:getHeatColor(score ?? 0), color:'#111', weight:1.4, fillOpacity:0.98, pane:'markerPane' })
-        .bindPopup(popup);
-      pointLayer.addLayer(m);
-      heatPoints.push({ name: f.properties?.neighborhood ?? `heat-${i}`, lat, lon: lng, hvi: score });
-    });
-
-    // ensure markers drawn above polygons
-    pointLayer.eachLayer(l => { if (l && l.bringToFront) try { l.bringToFront(); } catch(e){} });
-
-    heatLayer = L.layerGroup([geo, pointLayer]);
-    dbg('heat layer ready — markers:', getLayerCount(heatLayer), 'heatPoints:', heatPoints.length);
-
-    // if no centroids were created, load fallback test (USGS) so you can confirm markers render
-    if (heatPoints.length === 0) {
-      wrn('No heat centroids found — loading test point feed (USGS earthquakes) for visibility testing.');
-      await loadHeatTestFallback();
+    await Promise.all([ renderChart(), updateNasaPowerPopups() ]);
+  } catch(err){ console.error('POWER refresh failed', err); }
+}
+
+function wirePowerControls(){
+  const startEl = document.getElementById('powerStart');
+  const endEl = document.getElementById('powerEnd');
+  const paramsBox = document.getElementById('power-params');
+  const today = new Date().toISOString().slice(0,10);
+
+  if (paramsBox){
+    paramsBox.innerHTML = Object.entries(POWER_PARAMETERS).map(([key, p]) =>
+      `<label title="${key}"><input type="checkbox" name="powerParam" value="${key}"${powerQuery.parameters.includes(key) ? ' checked' : ''}> ${p.label} (${p.unit})</label><br>`
+    ).join('');
+    paramsBox.addEventListener('change', () => {
+      const picked = Array.from(paramsBox.querySelectorAll('input[name="powerParam"]:checked')).map(i => i.value);
+      if (!picked.length) { wrn('POWER: keep at least one parameter selected'); paramsBox.querySelector(`input[value="${powerQuery.parameters[0]}"]`).checked = true; return; }
+      powerQuery.parameters = picked;
+      schedulePowerRefresh();
+    });
+  }
+
+  [startEl, endEl].forEach(el => {
+    if (!el) return;
+    el.min = '1981-01-01';
+    el.max = today;
+  });
+  if (startEl) startEl.value = powerDateToISO(powerQuery.start);
+  if (endEl) endEl.value = powerDateToISO(powerQuery.end);
+
+  const onDateChange = () => {
+    if (!startEl?.value || !endEl?.value) return;
+    if (startEl.value > endEl.value) { wrn('POWER: start date after end date', startEl.value, endEl.value); return; }
+    powerQuery.start = isoToPowerDate(startEl.value);
+    powerQuery.end = isoToPowerDate(endEl.value);
+    schedulePowerRefresh();
+  };
+  if (startEl) startEl.addEventListener('change', onDateChange);
+  if (endEl) endEl.addEventListener('change', onDateChange);
+}
+
+// ---------- NASA POWER POINTS ----------
+async function loadNasaPowerPoints(){
+  if (nasaPowerPointsLayer) return;
+  const g = L.layerGroup();
+  NYC_POWER_POINTS.forEach(p => {
+    const m = L.circleMarker([p.lat,p.lon], { radius:7, fillColor:'#ffd24d', color:'#6b4500', weight:1, fillOpacity:0.95, pane:'markerPane', bubblingMouseEvents:false })
+      .bindPopup(`<strong>${p.name}</strong><br>Loading NASA POWER…`);
+    m.powerPoint = p;
+    m.on('click', () => previewPowerLocation(p));
+    g.addLayer(m);
+  });
+  nasaPowerPointsLayer = g;
+  await updateNasaPowerPopups();
+  dbg('NASA POWER points ready — markers:', getLayerCount(nasaPowerPointsLayer));
+}
+
+async function updateNasaPowerPopups(){
+  if (!nasaPowerPointsLayer) return;
+  const query = snapshotPowerQuery();
+  await Promise.all(nasaPowerPointsLayer.getLayers().map(async m => {
+    const p = m.powerPoint;
+    try {
+      const { series } = readPowerSeries(await fetchPowerPoint(p.lat, p.lon, query), query.parameters);
+      if (query.version !== powerQuery.version) return; // selection changed while fetching
+      const rows = query.parameters.map(key => {
+        const vals = series[key].filter(v => !isNaN(v));
+        const avg = vals.length ? (vals.reduce((a,b)=>a+b,0)/vals.length).toFixed(1) : 'N/A';
+        return `Avg ${key}: ${avg} ${POWER_PARAMETERS[key]?.unit ?? ''}`;
+      });
+      m.setPopupContent(`<strong>${p.name}</strong><br><small>${formatPowerRange(query)}</small><br>${rows.join('<br>')}<br>${pinButtonHtml(p)}`);
+    } catch(err){
+      if (isAbortError(err)) return; // superseded by a newer selection
+      console.error('POWER point error', p.name, err);
+      m.setPopupContent(`<strong>${p.name}</strong><br>NASA POWER data unavailable`);
     }
-  } catch (err){
-    console.error('Heat load error', err);
-    heatLayer = safeLayerGroup();
-  } finally { updateAllAggregatesAndChart(); }
+  }));
 }
 
-// --- Fallback test: USGS earthquakes feed (points) so we can verify marker rendering separately
-async function loadHeatTestFallback(){
-  try {
-    const url = 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_day.geojson';
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`USGS HTTP ${res.status}`);
-    const data = await res.json();
-    dbg('USGS fallback loaded', (data && data.features) ? `${data.features.length} features` : data);
+// ---------- POWER LOCATION COMPARISON ----------
+function pinButtonHtml(loc){
+  return `<button type="button" class="btn btn-sm" data-pin-lat="${loc.lat}" data-pin-lon="${loc.lon}" data-pin-name="${loc.name}">Pin to chart</button>`;
+}
+
+function samePowerLocation(a, b){ return a && b && Math.abs(a.lat - b.lat) < 1e-4 && Math.abs(a.lon - b.lon) < 1e-4; }
+
+// show one location's series on the chart until the next click replaces it
+function previewPowerLocation(loc){
+  if (pinnedPowerLocations.some(p => samePowerLocation(p, loc))) return;
+  powerPreviewLocation = { name: loc.name, lat: loc.lat, lon: loc.lon, color: '#f5f5f5' };
+  renderChart().catch(err => console.error('POWER preview failed', err));
+}
+
+function pinPowerLocation(loc){
+  if (pinnedPowerLocations.some(p => samePowerLocation(p, loc))) return;
+  if (pinnedPowerLocations.length >= POWER_MAX_PINS) { wrn(`POWER: at most ${POWER_MAX_PINS} pinned locations`); return; }
+  const used = new Set(pinnedPowerLocations.map(p => p.color));
+  const color = POWER_LOCATION_COLORS.find(c => !used.has(c)) ?? POWER_LOCATION_COLORS[0];
+  pinnedPowerLocations.push({ name: loc.name, lat: loc.lat, lon: loc.lon, color });
+  if (samePowerLocation(powerPreviewLocation, loc)) powerPreviewLocation = null;
+  renderPinnedPowerLocations();
+  renderChart().catch(err => console.error('POWER pin failed', err));
+}
+
+function unpinPowerLocation(index){
+  pinnedPowerLocations.splice(index, 1);
+  renderPinnedPowerLocations();
+  renderChart().catch(err => console.error('POWER unpin failed', err));
+}
 
-    const geo = L.geoJSON(data, {
-      pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius:8, fillColor:'#ffcc00', color:'#8a5c00', weight:1.2, fillOpacity:0.95, pane:'markerPane' }),
-      onEachFeature: (f, l) => l.bindPopup(`<strong>${f.properties?.place ?? 'Quake'}</strong><br>Mag: ${f.properties?.mag ?? 'N/A'}`)
+function renderPinnedPowerLocations(){
+  const list = document.getElementById('power-locations');
+  if (!list) return;
+  list.innerHTML = pinnedPowerLocations.map((p, i) => `
+    <li style="display:flex; align-items:center; gap:6px;">
+      <span style="width:12px;height:12px;border-radius:50%;background:${p.color};display:inline-block"></span>
+      <span style="flex:1">${p.name}</span>
+      <button type="button" class="btn btn-sm" data-unpin="${i}" title="Remove">×</button>
+    </li>`).join('') || '<li class="muted">Click the map or a POWER point, then pin it</li>';
+  list.querySelectorAll('[data-unpin]').forEach(b => b.addEventListener('click', () => unpinPowerLocation(Number(b.dataset.unpin))));
+}
+
+function chartPowerLocations(){
+  return [...pinnedPowerLocations, ...(powerPreviewLocation ? [powerPreviewLocation] : [])];
+}
+
+function wirePowerLocationClicks(){
+  const clickEl = document.getElementById('togglePowerClick');
+  map.on('click', e => {
+    if (mapDrawing || (clickEl && !clickEl.checked)) return;
+    const loc = { name: `${e.latlng.lat.toFixed(3)}, ${e.latlng.lng.toFixed(3)}`, lat: Number(e.latlng.lat.toFixed(4)), lon: Number(e.latlng.lng.toFixed(4)) };
+    previewPowerLocation(loc);
+    L.popup().setLatLng(e.latlng).setContent(`<strong>${loc.name}</strong><br>NASA POWER series shown on chart<br>${pinButtonHtml(loc)}`).openOn(map);
+  });
+  // pin buttons live inside popups (clicked location + POWER points)
+  map.on('popupopen', e => {
+    const btn = e.popup.getElement()?.querySelector('[data-pin-lat]');
+    if (!btn) return;
+    btn.addEventListener('click', () => {
+      pinPowerLocation({ name: btn.dataset.pinName, lat: Number(btn.dataset.pinLat), lon: Number(btn.dataset.pinLon) });
+      map.closePopup(e.popup);
     });
+  });
+  renderPinnedPowerLocations();
+}
+
+// ---------- HEATWAVE DETECTION ----------
+// NWS heat index (°F) from air temperature (°C) and relative humidity (%)
+function heatIndexF(tempC, rh){
+  const T = tempC*9/5 + 32;
+  const simple = 0.5*(T + 61 + (T - 68)*1.2 + rh*0.094);
+  if ((simple + T)/2 < 80) return simple;
+  let hi = -42.379 + 2.04901523*T + 10.14333127*rh - 0.22475541*T*rh - 0.00683783*T*T
+    - 0.05481717*rh*rh + 0.00122874*T*T*rh + 0.00085282*T*rh*rh - 0.00000199*T*T*rh*rh;
+  if (rh < 13 && T >= 80 && T <= 112) hi -= ((13 - rh)/4)*Math.sqrt((17 - Math.abs(T - 95))/17);
+  else if (rh > 85 && T >= 80 && T <= 87) hi += ((rh - 85)/10)*((87 - T)/5);
+  return hi;
+}
+
+function fetchHeatwaveSeries(query){
+  const parameters = HEATWAVE_METHODS[heatwaveState.method].parameters;
+  return fetchPowerPoint(NYC_CENTER.lat, NYC_CENTER.lon, Object.assign({}, query, { parameters }))
+    .then(payload => readPowerSeries(payload, parameters))
+    .catch(err => { if (!isAbortError(err)) console.error('NASA POWER heatwave fetch failed', err); return { dates:[], series:{} }; });
+}
+
+// -> daily values for the current rule plus whether each day qualifies
+function heatwaveDays({ dates, series }){
+  const { method, threshold, nightThreshold } = heatwaveState;
+  const tmax = series.T2M_MAX ?? [];
+  return dates.map((date, i) => {
+    const value = method === 'heatIndex' ? heatIndexF(tmax[i], series.RH2M?.[i]) : tmax[i];
+    const nightOk = method !== 'tmax' || nightThreshold === null || series.T2M_MIN?.[i] >= nightThreshold;
+    return { date, value, hot: isFinite(value) && value >= threshold && nightOk };
+  });
+}
+
+function detectHeatwaves(days, minDays){
+  const events = [];
+  let run = [];
+  const close = () => {
+    if (run.length >= minDays) events.push({ start: run[0].date, end: run[run.length - 1].date, days: run.length, peak: Math.max(...run.map(d => d.value)) });
+    run = [];
+  };
+  days.forEach(d => { if (d.hot) run.push(d); else close(); });
+  close();
+  return events;
+}
+
+function updateHeatwaves(nasa){
+  heatwaveState.events = detectHeatwaves(heatwaveDays(nasa), heatwaveState.minDays);
+  heatwaveState.lastDate = nasa.dates[nasa.dates.length - 1] ?? null;
+  dbg('heatwaves', heatwaveState.events);
+  renderHeatwaveAlerts();
+}
+
+// shaded spans behind the POWER lines; an event covers whole days, so it ends the day after `end`
+function heatwaveShapes(){
+  return heatwaveState.events.map(ev => ({
+    type:'rect', xref:'x', yref:'paper', x0: ev.start, x1: addDaysISO(ev.end, 1), y0: 0, y1: 1,
+    fillcolor:'rgba(255,80,0,0.18)', line:{ width:0 }, layer:'below'
+  }));
+}
+
+// standing top-N by HVI: the POWER series is a single point, so an event can't be placed by neighborhood
+function heatwaveFlaggedNeighborhoods(){
+  return neighborhoodStats.filter(n => Number.isFinite(n.hvi)).sort((a,b) => b.hvi - a.hvi).slice(0, HEATWAVE_FLAG_TOP_N);
+}
+
+function renderHeatwaveAlerts(){
+  const box = document.getElementById('heatwave-alerts');
+  if (!box) return;
+  const { events, lastDate } = heatwaveState;
+  const m = HEATWAVE_METHODS[heatwaveState.method];
+  if (!events.length){
+    box.innerHTML = `<span class="muted">No heatwaves (${m.label} ≥ ${heatwaveState.threshold} ${m.unit} for ${heatwaveState.minDays}+ days) in ${formatPowerRange(powerQuery)}</span>`;
+    return;
+  }
+  const active = events.some(ev => ev.end === lastDate);
+  const flagged = heatwaveFlaggedNeighborhoods();
+  box.innerHTML = `
+    ${active ? '<div style="color:#ff5a36; font-weight:bold;">Heatwave in progress at the end of the range</div>' : ''}
+    <div>${events.length} event${events.length === 1 ? '' : 's'}, ${events.reduce((a, ev) => a + ev.days, 0)} days (shaded on the chart)</div>
+    <ul style="padding-left:18px; margin:4px 0;">
+      ${events.map(ev => `<li>${ev.start} → ${ev.end} · ${ev.days} d · peak ${ev.peak.toFixed(1)} ${m.unit}</li>`).join('')}
+    </ul>
+    <strong style="display:block;">Flag for cooling-center activation</strong>
+    <span class="muted">Top ${HEATWAVE_FLAG_TOP_N} neighborhoods by HVI (standing list, not specific to these events)</span>
+    ${flagged.length
+      ? `<ol style="padding-left:20px; margin:4px 0;">${flagged.map((n, i) => `<li><a href="#" data-flag="${i}">${n.name}</a> — HVI ${n.hvi}</li>`).join('')}</ol>`
+      : '<span class="muted">Heat vulnerability data not loaded</span>'}
+  `;
+  box.querySelectorAll('a[data-flag]').forEach(a => a.addEventListener('click', e => {
+    e.preventDefault();
+    const n = flagged[Number(a.dataset.flag)];
+    try { map.fitBounds(L.geoJSON(n.feature).getBounds(), { padding:[20,20], maxZoom:14 }); } catch(err){ wrn('heatwave fitBounds failed', err); }
+    const anchor = getFeatureAnchor(n.feature);
+    if (anchor) L.popup().setLatLng(anchor).setContent(equityPopup(n)).openOn(map);
+  }));
+}
+
+function wireHeatwaveControls(){
+  const methodEl = document.getElementById('heatwaveMethod');
+  const thresholdEl = document.getElementById('heatwaveThreshold');
+  const nightEl = document.getElementById('heatwaveNight');
+  const daysEl = document.getElementById('heatwaveDays');
+  const unitEl = document.getElementById('heatwaveUnit');
+  const rerender = () => renderChart().catch(err => console.error('heatwave update failed', err));
+  const syncInputs = () => {
+    if (thresholdEl) thresholdEl.value = heatwaveState.threshold;
+    if (unitEl) unitEl.textContent = HEATWAVE_METHODS[heatwaveState.method].unit;
+    if (nightEl) nightEl.disabled = heatwaveState.method !== 'tmax';
+  };
 
-    // store as a separate fallback layer (so we don't confuse the real heat data)
-    heatTestFallbackLayer = L.layerGroup([geo]);
-    dbg('heat test fallback layer ready with', getLayerCount(heatTestFallbackLayer), 'markers');
+  if (methodEl){
+    methodEl.innerHTML = Object.entries(HEATWAVE_METHODS).map(([id, m]) => `<option value="${id}"${id === heatwaveState.method ? ' selected' : ''}>${m.label}</option>`).join('');
+    methodEl.addEventListener('change', () => {
+      heatwaveState.method = methodEl.value;
+      heatwaveState.threshold = HEATWAVE_METHODS[methodEl.value].threshold;
+      syncInputs();
+      rerender();
+    });
+  }
+  if (thresholdEl) thresholdEl.addEventListener('change', () => {
+    const v = Number(thresholdEl.value);
+    if (thresholdEl.value === '' || !isFinite(v)) { thresholdEl.value = heatwaveState.threshold; return; }
+    heatwaveState.threshold = v;
+    rerender();
+  });
+  if (nightEl) nightEl.addEventListener('change', () => {
+    const v = Number(nightEl.value);
+    heatwaveState.nightThreshold = nightEl.value === '' || !isFinite(v) ? null : v;
+    rerender();
+  });
+  if (daysEl){
+    daysEl.value = heatwaveState.minDays;
+    daysEl.addEventListener('change', () => {
+      const v = Math.round(Number(daysEl.value));
+      if (!(v >= 1)) { daysEl.value = heatwaveState.minDays; return; }
+      heatwaveState.minDays = v;
+      rerender();
+    });
+  }
+  syncInputs();
+}
 
-    // If the real heatLayer is empty, add fallback to map (and show a message)
-    if ((!heatLayer || getLayerCount(heatLayer) === 0) && map) {
-      map.addLayer(heatTestFallbackLayer);
-      console.info('[APP] USGS test layer added to map as a visual fallback (heat had no centroids).');
+// ---------- FEATURE SEARCH ----------
+// true when a and b are at most `max` edits apart (swapping two neighbouring letters counts as
+// one edit). Only the diagonal band |i - j| <= max is filled, and it stops once a row exceeds max.
+// Rows live in reused buffers: this runs once per candidate word on every search
+let editRows = [new Int32Array(64), new Int32Array(64), new Int32Array(64)];
+function withinEditDistance(a, b, max){
+  if (Math.abs(a.length - b.length) > max) return false;
+  if (editRows[0].length < b.length + 2) editRows = editRows.map(() => new Int32Array(2*(b.length + 2)));
+  let [prev2, prev, cur] = editRows;
+  const INF = max + 1;
+  for (let j = 0; j <= b.length + 1; j++) prev[j] = j <= max ? j : INF;
+  for (let i = 1; i <= a.length; i++){
+    const lo = Math.max(1, i - max), hi = Math.min(b.length, i + max);
+    cur[lo - 1] = lo === 1 && i <= max ? i : INF;
+    cur[hi + 1] = INF;
+    let rowMin = INF;
+    for (let j = lo; j <= hi; j++){
+      let d = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i-1] === b[j-2] && a[i-2] === b[j-1]) d = Math.min(d, prev2[j-2] + 1);
+      cur[j] = d;
+      if (d < rowMin) rowMin = d;
     }
-  } catch (err) {
-    console.error('Heat test fallback error', err);
+    if (rowMin > max) return false;
+    const spare = prev2; prev2 = prev; prev = cur; cur = spare;
   }
+  return prev[b.length] <= max;
 }
 
-// ---------- NASA GIBS RASTER ----------
-function buildGibsTemplate(dateISO){
-  return `https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/VIIRS_SNPP_CorrectedReflectance_TrueColor/default/${dateISO}/GoogleMapsCompatible_Level9/{z}/{y}/{x}.jpg`;
+// 0 = no match, higher is better: substrings beat scattered subsequences, word starts and
+// early hits score higher
+function fuzzyScore(query, text){
+  const q = query.toLowerCase(), t = String(text).toLowerCase();
+  const wordStart = k => k === 0 || /[^a-z0-9]/.test(t[k-1]);
+  const at = t.indexOf(q);
+  if (at >= 0) return 1000 + (wordStart(at) ? 200 : 0) - at - t.length/100;
+  let score = 100, from = 0, prev = -2;
+  for (const ch of q){
+    const k = t.indexOf(ch, from);
+    if (k < 0) return 0;
+    score += (k === prev + 1 ? 5 : 1) + (wordStart(k) ? 3 : 0);
+    prev = k; from = k + 1;
+  }
+  return score;
 }
-function ensureNasaRaster(){
-  if (nasaRasterLayer) return;
-  const dateISO = new Date().toISOString().slice(0,10);
-  const tpl = buildGibsTemplate(dateISO);
-  // Using maxNativeZoom tells Leaflet tiles only exist up to z=9 — Leaflet will scale them if map zooms higher
-  nasaRasterLayer = L.tileLayer(tpl, { minZoom: 2, maxNativeZoom: 9, maxZoom: 19, attribution: 'NASA GIBS' });
-  dbg('NASA raster prepared (template):', tpl, 'maxNativeZoom=9');
+
+// queries of 4+ characters also match a run of as many words in the name with one typo
+const SEARCH_TYPO_SCORE = 50;
+function typoMatch(query, text){
+  const qWords = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const words = String(text).toLowerCase().split(/[^a-z0-9']+/).filter(Boolean);
+  const q = qWords.join(' ');
+  if (q.length < 4) return false;
+  for (let k = 0; k + qWords.length <= words.length; k++){
+    const run = qWords.length === 1 ? words[k] : words.slice(k, k + qWords.length).join(' ');
+    if (Math.abs(run.length - q.length) <= 1 && withinEditDistance(q, run, 1)) return true;
+  }
+  return false;
 }
 
-// ---------- NASA POWER POINTS ----------
-async function loadNasaPowerPoints(){
-  if (nasaPowerPointsLayer) return;
-  const pts = [
-    { name:'Manhattan', lat:40.7831, lon:-73.9712 },
-    { name:'Brooklyn', lat:40.6782, lon:-73.9442 },
-    { name:'Queens', lat:40.7282, lon:-73.7949 },
-    { name:'Bronx', lat:40.8448, lon:-73.8648 },
-    { name:'Staten Island', lat:40.5795, lon:-74.1502 }
-  ];
-  const g = L.layerGroup();
-  for (const p of pts){
-    try {
-      const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=T2M_MAX,T2M_MIN&community=RE&longitude=${p.lon}&latitude=${p.lat}&start=${NASA_POWER_START}&end=${NASA_POWER_END}&format=JSON`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`POWER HTTP ${res.status}`);
-      const payload = await res.json();
-      const tMaxObj = payload?.properties?.parameter?.T2M_MAX || {};
-      const tMinObj = payload?.properties?.parameter?.T2M_MIN || {};
-      const tMaxVals = Object.values(tMaxObj).map(v => Number(v)).filter(v => !isNaN(v));
-      const tMinVals = Object.values(tMinObj).map(v => Number(v)).filter(v => !isNaN(v));
-      const avgMax = tMaxVals.length ? (tMaxVals.reduce((a,b)=>a+b,0)/tMaxVals.length).toFixed(1) : 'N/A';
-      const avgMin = tMinVals.length ? (tMinVals.reduce((a,b)=>a+b,0)/tMinVals.length).toFixed(1) : 'N/A';
-      const popup = `<strong>${p.name}</strong><br>Avg T2M_MAX: ${avgMax} °C<br>Avg T2M_MIN: ${avgMin} °C`;
-      const m = L.circleMarker([p.lat,p.lon], { radius:7, fillColor:'#ffd24d', color:'#6b4500', weight:1, fillOpacity:0.95, pane:'markerPane' }).bindPopup(popup);
-      g.addLayer(m);
-      dbg('NASA POWER point added', p.name);
-    } catch(err){ console.error('POWER point error', p.name, err); }
+// -> best matches among the named points of every layer (filtered-out features are skipped).
+// Typo matches rank below every other kind, so they are only looked for until the list is full
+function searchFeatures(query){
+  const q = query.trim();
+  if (!q) return [];
+  const hits = [], misses = [];
+  LAYER_DEFS.forEach(def => layerState[def.id].points.forEach(p => {
+    if (!passesLayerFilters(def, p.feature)) return;
+    const score = fuzzyScore(q, p.name);
+    if (score) hits.push({ def, point: p, score });
+    else misses.push({ def, point: p });
+  }));
+  for (let i = 0; i < misses.length && hits.length < SEARCH_MAX_RESULTS; i++){
+    if (typoMatch(q, misses[i].point.name)) hits.push(Object.assign(misses[i], { score: SEARCH_TYPO_SCORE }));
   }
-  nasaPowerPointsLayer = g;
-  dbg('NASA POWER points ready — markers:', getLayerCount(nasaPowerPointsLayer));
+  return hits.sort((a, b) => b.score - a.score || a.point.name.localeCompare(b.point.name)).slice(0, SEARCH_MAX_RESULTS);
+}
+
+// fly to a result, make sure its layer is on, then open its popup and outline it
+function showSearchResult({ def, point }){
+  const state = layerState[def.id];
+  if (state.toggleEl && !state.toggleEl.checked){
+    state.toggleEl.checked = true;
+    state.toggleEl.dispatchEvent(new Event('change'));
+  }
+  const zoom = Math.max(map.getZoom(), def.cluster ? def.cluster.disableAtZoom : SEARCH_MIN_ZOOM);
+  const latlng = L.latLng(point.lat, point.lon);
+  map.once('moveend', () => {
+    if (searchHighlightLayer) map.removeLayer(searchHighlightLayer);
+    searchHighlightLayer = L.layerGroup([
+      L.circleMarker(latlng, { radius:16, color:'#ffffff', weight:3, fill:false, pane:'markerPane', interactive:false, className:'search-highlight' })
+    ]);
+    if (!/Point$/.test(point.feature.geometry?.type ?? '')){
+      searchHighlightLayer.addLayer(L.geoJSON(point.feature, { style: { color:'#ffffff', weight:3, fill:false, dashArray:'6 4' }, interactive:false }));
+    }
+    searchHighlightLayer.addTo(map);
+    const popup = L.popup().setLatLng(latlng).setContent(buildPopup(def, point.feature.properties)).openOn(map);
+    popup.once('remove', () => { if (searchHighlightLayer) { map.removeLayer(searchHighlightLayer); searchHighlightLayer = null; } });
+  });
+  map.flyTo(latlng, zoom, { duration: 0.8 });
+}
+
+function createSearchControl(){
+  const c = L.control({ position:'topleft' });
+  c.onAdd = function(){
+    const div = createMapPanel('feature-search');
+    div.style.padding='6px'; div.style.width='240px';
+    div.innerHTML = `
+      <input type="search" id="featureSearch" placeholder="Search stores, neighborhoods, facilities…" autocomplete="off" style="width:100%;">
+      <ul id="feature-search-results" style="list-style:none; margin:4px 0 0; padding:0; max-height:240px; overflow-y:auto;"></ul>
+    `;
+    L.DomEvent.disableScrollPropagation(div);
+
+    const input = div.querySelector('#featureSearch');
+    const list = div.querySelector('#feature-search-results');
+    let results = [], active = -1;
+    const render = () => {
+      list.innerHTML = results.map((r, i) => `
+        <li data-result="${i}" class="${i === active ? 'active' : ''}" style="display:flex; align-items:center; gap:6px; padding:3px 4px; cursor:pointer;">
+          <span style="width:10px;height:10px;border-radius:50%;background:${r.def.color};display:inline-block;flex:none"></span>
+          <span style="flex:1">${r.point.name}</span><small style="color:#9fbfdc;">${r.def.shortLabel}</small>
+        </li>`).join('') || (input.value.trim() ? '<li class="muted" style="padding:3px 4px;">No matches</li>' : '');
+    };
+    const pick = i => {
+      if (!results[i]) return;
+      input.value = results[i].point.name;
+      showSearchResult(results[i]);
+      results = []; active = -1; render();
+    };
+    let searchTimer = null;
+    const runSearch = () => { searchTimer = null; results = searchFeatures(input.value); active = results.length ? 0 : -1; render(); };
+    input.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+    });
+    input.addEventListener('keydown', e => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp'){
+        e.preventDefault();
+        if (!results.length) return;
+        active = (active + (e.key === 'ArrowDown' ? 1 : results.length - 1)) % results.length;
+        render();
+      } else if (e.key === 'Enter'){
+        e.preventDefault();
+        if (searchTimer) { clearTimeout(searchTimer); runSearch(); } // typed faster than the debounce
+        pick(active);
+      } else if (e.key === 'Escape'){
+        results = []; active = -1; render();
+      }
+    });
+    list.addEventListener('mousedown', e => {
+      const li = e.target.closest('[data-result]');
+      if (li) { e.preventDefault(); pick(Number(li.dataset.result)); }
+    });
+    return div;
+  };
+  c.addTo(map);
+  return c;
 }
 
 // ---------- INDICATORS & LEGEND ----------
+function renderLayerToggles(){
+  const box = document.getElementById('layer-toggles');
+  if (!box) return;
+  box.innerHTML = LAYER_DEFS.map(def =>
+    `<label><input type="checkbox" id="${toggleId(def)}"${def.checked ? ' checked' : ''}> ${def.label} </label>
+     <span class="layer-progress" id="layer-progress-${def.id}" hidden><progress max="1"></progress> <small></small></span><br>`
+  ).join('');
+  LAYER_DEFS.forEach(def => { layerState[def.id].toggleEl = document.getElementById(toggleId(def)); });
+}
+
+function toggleId(def){ return `toggle${def.id.charAt(0).toUpperCase()}${def.id.slice(1)}`; }
+
 function createIndicatorsControl(){
   const c = L.control({ position:'topright' });
   c.onAdd = function(){
@@ -367,20 +3124,13 @@ function createIndicatorsControl(){
     div.style.minWidth='170px'; div.style.background='rgba(18,24,38,0.95)'; div.style.color='#d1f0ff';
     div.style.padding='8px'; div.style.borderRadius='8px'; div.style.fontFamily='Orbitron, sans-serif';
     div.style.fontSize='13px'; div.style.boxShadow='0 2px 8px rgba(0,0,0,0.6)';
+    const rows = LAYER_DEFS.map(def => `
+      <div id="indicator-${def.id}" style="cursor:pointer; display:flex; align-items:center; gap:8px; padding:4px 0;">
+        <span style="width:12px;height:12px;border-radius:50%;background:${def.color};display:inline-block"></span>
+        <span style="flex:1">${def.shortLabel}</span><span id="indicator-${def.id}-count">0</span>
+      </div>`).join('');
     div.innerHTML = `
-      <strong style="display:block; margin-bottom:6px; color:#00d4ff;">Layers</strong>
-      <div id="indicator-food" style="cursor:pointer; display:flex; align-items:center; gap:8px; padding:4px 0;">
-        <span style="width:12px;height:12px;border-radius:50%;background:#00d4ff;display:inline-block"></span>
-        <span style="flex:1">Food</span><span id="indicator-food-count">0</span>
-      </div>
-      <div id="indicator-heat" style="cursor:pointer; display:flex; align-items:center; gap:8px; padding:4px 0;">
-        <span style="width:12px;height:12px;border-radius:50%;background:#ff5e5e;display:inline-block"></span>
-        <span style="flex:1">Heat</span><span id="indicator-heat-count">0</span>
-      </div>
-      <div id="indicator-waste" style="cursor:pointer; display:flex; align-items:center; gap:8px; padding:4px 0;">
-        <span style="width:12px;height:12px;border-radius:50%;background:#888;display:inline-block"></span>
-        <span style="flex:1">Waste</span><span id="indicator-waste-count">0</span>
-      </div>
+      <strong style="display:block; margin-bottom:6px; color:#00d4ff;">Layers</strong>${rows}
       <div style="margin-top:8px; font-size:11px; color:#9fbfdc;">Click an indicator to toggle</div>
     `;
     L.DomEvent.disableClickPropagation(div);
@@ -391,196 +3141,314 @@ function createIndicatorsControl(){
 }
 
 function updateIndicators(){
-  const f = getLayerCount(foodLayer), h = getLayerCount(heatLayer), w = getLayerCount(wasteLayer);
-  const fe = document.getElementById('indicator-food-count');
-  const he = document.getElementById('indicator-heat-count');
-  const we = document.getElementById('indicator-waste-count');
-  if (fe) fe.textContent = f;
-  if (he) he.textContent = h;
-  if (we) we.textContent = w;
-  const rowF = document.getElementById('indicator-food');
-  const rowH = document.getElementById('indicator-heat');
-  const rowW = document.getElementById('indicator-waste');
-  if (rowF) rowF.style.opacity = toggleFoodEl?.checked ? '1' : '0.5';
-  if (rowH) rowH.style.opacity = toggleHeatEl?.checked ? '1' : '0.5';
-  if (rowW) rowW.style.opacity = toggleWasteEl?.checked ? '1' : '0.5';
-}
-
-function createHeatLegend(){
-  const c = L.control({ position:'bottomright' });
+  LAYER_DEFS.forEach(def => {
+    const state = layerState[def.id];
+    const countEl = document.getElementById(`indicator-${def.id}-count`);
+    const row = document.getElementById(`indicator-${def.id}`);
+    if (countEl) countEl.textContent = layerFeatureCount(def);
+    if (row) row.style.opacity = state.toggleEl?.checked ? '1' : '0.5';
+  });
+}
+
+// dark rounded box shared by the legends and other floating map controls
+function createMapPanel(className){
+  const div = L.DomUtil.create('div', className);
+  div.style.background='rgba(18,24,38,0.95)'; div.style.color='#d1f0ff'; div.style.padding='8px';
+  div.style.borderRadius='8px'; div.style.fontFamily='Orbitron, sans-serif'; div.style.fontSize='12px';
+  div.style.boxShadow='0 2px 8px rgba(0,0,0,0.6)';
+  L.DomEvent.disableClickPropagation(div);
+  return div;
+}
+
+// rows: { color, label } swatches or ready-made HTML strings
+function legendHtml(title, rows, color){
+  return `
+    <strong style="color:${color}; display:block; margin-bottom:6px;">${title}</strong>
+    ${rows.map(r => typeof r === 'string' ? r : `<div style="display:flex; gap:6px; align-items:center;"><span style="width:14px;height:14px;background:${r.color};display:inline-block;border-radius:2px"></span> ${r.label}</div>`).join('')}
+  `;
+}
+
+// -> L.control showing title + rows; setContent(title, rows) redraws it for legends that change
+function createLegendControl(title, rows, { position = 'bottomleft', className = 'map-legend', color = '#00d4ff' } = {}){
+  const c = L.control({ position });
   c.onAdd = function(){
-    const div = L.DomUtil.create('div','heat-legend');
-    div.style.background='rgba(18,24,38,0.95)'; div.style.color='#d1f0ff'; div.style.padding='8px';
-    div.style.borderRadius='8px'; div.style.fontFamily='Orbitron, sans-serif'; div.style.fontSize='12px';
-    div.style.boxShadow='0 2px 8px rgba(0,0,0,0.6)';
-    div.innerHTML = `
-      <strong style="color:#ff5e5e; display:block; margin-bottom:6px;">Heat Vulnerability</strong>
-      <div style="display:flex; gap:6px; align-items:center;"><span style="width:14px;height:14px;background:#d73027;display:inline-block;border-radius:2px"></span> > 75</div>
-      <div style="display:flex; gap:6px; align-items:center;"><span style="width:14px;height:14px;background:#fc8d59;display:inline-block;border-radius:2px"></span> 51–75</div>
-      <div style="display:flex; gap:6px; align-items:center;"><span style="width:14px;height:14px;background:#fee08b;display:inline-block;border-radius:2px"></span> 26–50</div>
-      <div style="display:flex; gap:6px; align-items:center;"><span style="width:14px;height:14px;background:#ffffbf;display:inline-block;border-radius:2px"></span> 0–25</div>
-    `;
-    L.DomEvent.disableClickPropagation(div);
+    const div = createMapPanel(className);
+    div.innerHTML = legendHtml(title, rows, color);
     return div;
   };
-  c.addTo(map);
+  c.setContent = (newTitle, newRows) => {
+    title = newTitle; rows = newRows;
+    const div = c.getContainer();
+    if (div) div.innerHTML = legendHtml(title, rows, color);
+  };
+  return c;
+}
+
+function createLayerLegends(){
+  LAYER_DEFS.filter(def => def.legend).forEach(def => {
+    createLegendControl(def.legend.title, def.legend.items, { position:'bottomright', className:`layer-legend ${def.id}-legend`, color: def.color }).addTo(map);
+  });
+}
+
+// ---------- AGGREGATION & CHART ----------
+// chart traces carry a `uid`; updates look the index up by uid instead of assuming an order
+function metricTraceId(def){ return `metric-${def.id}`; }
+function chartTraceIndex(uid){
+  const data = document.getElementById('chart')?.data || [];
+  return data.findIndex(t => t.uid === uid);
+}
+
+// the points the aggregates should use: those passing the layer filters, optionally only inside the current view
+function aggregatePoints(def){
+  const points = layerState[def.id].points.filter(p => passesLayerFilters(def, p.feature));
+  if (!viewportStats) return points;
+  const view = map.getBounds();
+  return points.filter(p => view.contains([p.lat, p.lon]));
+}
+
+function layerFeatureCount(def){
+  return viewportStats ? aggregatePoints(def).length : getLayerCount(layerState[def.id].layer);
+}
+
+// -> { [id]: { agg, value, count } } — value is the picked aggregation, null when there is nothing to aggregate.
+// Filtering stays here (filters hold functions); the values are computed in the pipeline
+async function computeAggregates(){
+  const groups = {};
+  LAYER_DEFS.forEach(def => {
+    const points = aggregatePoints(def);
+    const { agg, source } = parseChartMetric(def, chartMetricChoice[def.id]);
+    const values = points.map(p => chartMetricValue(def, source, p)).filter(v => v !== null && !isNaN(v));
+    groups[def.id] = { agg, values, count: points.length };
+  });
+  const values = await runPipelineTask('aggregate', { groups });
+  const out = {};
+  LAYER_DEFS.forEach(def => { out[def.id] = { agg: chartMetricChoice[def.id], value: values[def.id], count: groups[def.id].count }; });
+  return out;
+}
+
+// every chart bar choice of a layer: its metric's aggs, then `<key>.<agg>` per chartFields entry
+function chartMetricChoices(def){
+  return [...def.metric.aggs, ...(def.chartFields || []).flatMap(f => f.aggs.map(a => `${f.key}.${a}`))];
+}
+
+// -> { agg, source } where source is def.metric or the chartFields entry the choice reads
+function parseChartMetric(def, choice){
+  const [key, agg] = choice.includes('.') ? choice.split('.') : [null, choice];
+  return { agg, source: (def.chartFields || []).find(f => f.key === key) ?? def.metric };
+}
+
+function chartMetricValue(def, source, p){
+  return source === def.metric ? p[def.metric.key] : p.feature.properties[source.key] ?? null;
+}
+
+function aggregationLabel(def, choice){
+  const { agg, source } = parseChartMetric(def, choice);
+  return agg === 'count' ? CHART_AGGREGATIONS.count.label : `${CHART_AGGREGATIONS[agg].label} ${source.label}`;
 }
 
-// ---------- AGGREGATION & CHART (kept mostly same) ----------
-function computeAggregates(){
-  const heatVals = heatPoints.map(p => p.hvi).filter(v => v !== null && !isNaN(v));
-  const avgHeat = heatVals.length ? (heatVals.reduce((a,b)=>a+b,0)/heatVals.length) : null;
-  const foodScores = foodPoints.map(p => p.score).filter(v => v !== null && !isNaN(v));
-  const avgFoodScore = foodScores.length ? (foodScores.reduce((a,b)=>a+b,0) / foodScores.length) : null;
-  const foodCount = foodPoints.length;
-  const wasteTons = wastePoints.map(p => p.tons).filter(v => v !== null && !isNaN(v));
-  const totalWaste = wasteTons.length ? wasteTons.reduce((a,b)=>a+b,0) : null;
-  return { avgHeat, avgFoodScore, foodCount, totalWaste };
+function metricLabel(def, choice = chartMetricChoice[def.id]){ return `${def.shortLabel}: ${aggregationLabel(def, choice)}`; }
+
+function metricBar(def, result){
+  const { agg: aggId, source: m } = parseChartMetric(def, result.agg);
+  const agg = CHART_AGGREGATIONS[aggId];
+  const unit = agg.unit ?? m.unit;
+  const digits = aggId === 'count' ? 0 : m.digits;
+  const name = metricLabel(def, result.agg);
+  if (result.value === null || result.value === undefined) return { y: 0, text: 'N/A', name };
+  return { y: Number(result.value.toFixed(digits)), text: `${result.value.toFixed(digits)}${unit ? ` ${unit}` : ''}`, name };
 }
 
-function updateAggregatesChart(){
+async function updateAggregatesChart(){
   if (!chartReady) return;
-  const agg = computeAggregates();
-  const heatY = agg.avgHeat !== null ? [Number(agg.avgHeat.toFixed(1))] : [0];
-  const foodY = agg.avgFoodScore !== null ? [Number(agg.avgFoodScore.toFixed(2))] : [agg.foodCount || 0];
-  const wasteY = agg.totalWaste !== null ? [Number(agg.totalWaste.toFixed(1))] : [0];
-  const heatText = agg.avgHeat !== null ? [`${agg.avgHeat.toFixed(1)} (avg HVI)`] : ['N/A'];
-  const foodText = agg.avgFoodScore !== null ? [`${agg.avgFoodScore.toFixed(2)} (avg score)`] : [`${agg.foodCount} features`];
-  const wasteText = agg.totalWaste !== null ? [`${agg.totalWaste.toFixed(1)} tons/day`] : ['N/A'];
+  const seq = ++aggregateSeq;
   try {
-    Plotly.restyle('chart', { y: [heatY], text: [heatText] }, [2]);
-    Plotly.restyle('chart', { y: [foodY], text: [foodText] }, [3]);
-    Plotly.restyle('chart', { y: [wasteY], text: [wasteText] }, [4]);
-    const rightMax = Math.max(100, heatY[0]*1.2, foodY[0]*1.2, wasteY[0]*1.2, 10);
-    Plotly.relayout('chart', { 'yaxis2.range': [0, rightMax] });
+    const agg = await computeAggregates();
+    if (seq !== aggregateSeq) return; // a newer update is on its way
+    const ys = [];
+    LAYER_DEFS.forEach(def => {
+      const index = chartTraceIndex(metricTraceId(def));
+      if (index < 0) return;
+      const bar = metricBar(def, agg[def.id]);
+      ys.push(bar.y);
+      Plotly.restyle('chart', { y: [[bar.y]], text: [[bar.text]], name: bar.name, hovertemplate: `${bar.name}: %{text}<extra></extra>` }, [index]);
+    });
+    const rightMax = Math.max(100, ...ys.map(y => y*1.2), 10);
+    Plotly.relayout('chart', { 'yaxis2.range': [0, rightMax], 'yaxis2.title': mapMetricsAxisTitle() });
     dbg('Aggregates updated', { agg, rightMax });
   } catch (err){
     wrn('updateAggregatesChart failed', err);
   }
 }
 
+function wireChartMetricControls(){
+  const box = document.getElementById('chart-metrics');
+  if (!box) return;
+  box.innerHTML = LAYER_DEFS.map(def => `
+    <label style="display:block;"><span style="color:${def.color};">●</span> ${def.shortLabel}
+      <select data-chart-metric="${def.id}">${chartMetricChoices(def).map(a => `<option value="${a}"${a === chartMetricChoice[def.id] ? ' selected' : ''}>${aggregationLabel(def, a)}</option>`).join('')}</select>
+    </label>`).join('');
+  box.querySelectorAll('[data-chart-metric]').forEach(sel => sel.addEventListener('change', () => {
+    chartMetricChoice[sel.dataset.chartMetric] = sel.value;
+    updateAggregatesChart();
+    schedulePermalinkUpdate(); // the chart card sits outside #controls
+  }));
+}
+
 function updateAllAggregatesAndChart(){
-  updateLayerCounts();
   updateIndicators();
   updateAggregatesChart();
 }
 
 // ---------- PLOTLY CHART ----------
-async function getNasaPowerDataForNYC(){
-  const lat=40.7128, lon=-74.0060;
-  const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=T2M_MAX,T2M_MIN&community=RE&longitude=${lon}&latitude=${lat}&start=${NASA_POWER_START}&end=${NASA_POWER_END}&format=JSON`;
+async function getNasaPowerDataForNYC(query = snapshotPowerQuery()){
   try {
-    const res = await fetch(url);
-    const data = await res.json();
-    const tMaxObj = data?.properties?.parameter?.T2M_MAX || {};
-    const tMinObj = data?.properties?.parameter?.T2M_MIN || {};
-    const dates = Object.keys(tMaxObj);
-    const tMax = Object.values(tMaxObj).map(v => v === null ? NaN : v);
-    const tMin = Object.values(tMinObj).map(v => v === null ? NaN : v);
-    return { dates, tMax, tMin };
-  } catch(err){ console.error('NASA POWER fetch failed', err); return { dates:[], tMax:[], tMin:[] }; }
-}
-
-function toggleChartTraceVisibility(traceIndex, visible){
-  if (!chartReady) return;
-  try { Plotly.restyle('chart', { visible }, [traceIndex]); } catch(e){ wrn('toggleChartTraceVisibility', e); }
+    return readPowerSeries(await fetchPowerPoint(NYC_CENTER.lat, NYC_CENTER.lon, query), query.parameters);
+  } catch(err){
+    if (!isAbortError(err)) console.error('NASA POWER fetch failed', err);
+    return { dates:[], series:{} };
+  }
 }
 
-function updateLayerCounts(){
-  if (chartReady){
-    try {
-      Plotly.restyle('chart', { y: [[getLayerCount(foodLayer)]] }, [2]);
-      Plotly.restyle('chart', { y: [[getLayerCount(heatLayer)]] }, [3]);
-      Plotly.restyle('chart', { y: [[getLayerCount(wasteLayer)]] }, [4]);
-    } catch(e){ /* ignore if chart not ready */ }
-  }
-  updateIndicators();
+function toggleChartTraceVisibility(uid, visible){
+  const index = chartTraceIndex(uid);
+  if (!chartReady || index < 0) return;
+  try { Plotly.restyle('chart', { visible }, [index]); } catch(e){ wrn('toggleChartTraceVisibility', e); }
 }
 
-async function initCharts(){
-  try {
-    const nasa = await getNasaPowerDataForNYC();
-    const agg = computeAggregates();
-    const heatBar = agg.avgHeat !== null ? [Number(agg.avgHeat.toFixed(1))] : [0];
-    const foodBar = agg.avgFoodScore !== null ? [Number(agg.avgFoodScore.toFixed(2))] : [agg.foodCount || 0];
-    const wasteBar = agg.totalWaste !== null ? [Number(agg.totalWaste.toFixed(1))] : [0];
-
-    const traces = [
-      { x: nasa.dates, y: nasa.tMax, type:'scatter', name:'Max Temp (°C)', line:{ color:'#ff5e5e' }, yaxis: 'y' },
-      { x: nasa.dates, y: nasa.tMin, type:'scatter', name:'Min Temp (°C)', line:{ color:'#00d4ff' }, yaxis: 'y' },
-      { x: ['Avg HVI'], y: heatBar, type:'bar', name:'Heat (avg HVI)', marker:{ color:'#ff5e5e' }, text: heatBar.map(v=>v ? `${v}` : 'N/A'), textposition:'auto', hovertemplate:'Heat avg HVI: %{y}<extra></extra>', yaxis: 'y2', visible: true },
-      { x: ['Food'], y: foodBar, type:'bar', name:'Food (avg score / count)', marker:{ color:'#00d4ff' }, text: foodBar.map(v=>v ? `${v}` : 'N/A'), textposition:'auto', hovertemplate:'Food avg score / count: %{y}<extra></extra>', yaxis: 'y2', visible: true },
-      { x: ['Waste'], y: wasteBar, type:'bar', name:'Waste (total tons/day)', marker:{ color:'#888' }, text: wasteBar.map(v=>v ? `${v}` : 'N/A'), textposition:'auto', hovertemplate:'Waste total tons/day: %{y}<extra></extra>', yaxis: 'y2', visible: true }
-    ];
+function mapMetricsAxisTitle(){ return viewportStats ? 'Map metrics — current view' : 'Map metrics (see units)'; }
+
+function buildChartLayout(query){
+  const labels = query.parameters.map(k => POWER_PARAMETERS[k]?.label ?? k);
+  const units = [...new Set(query.parameters.map(k => POWER_PARAMETERS[k]?.unit ?? ''))].filter(Boolean);
+  return {
+    title: `NASA POWER: NYC ${labels.join(', ')} (${formatPowerRange(query)})`,
+    paper_bgcolor: "#0b0c10",
+    plot_bgcolor: "#0b0c10",
+    font: { color: "#d1f0ff", family: "Orbitron" },
+    xaxis: {
+      title: { text: "Date / Category", standoff: 30 }, // 👈 pushes label further down
+      automargin: true
+    },
+    yaxis: { title: units.join(' / ') || 'Value', automargin: true },
+    yaxis2: {
+      title: mapMetricsAxisTitle(),
+      overlaying: 'y',
+      side: 'right',
+      automargin: true
+    },
+    shapes: heatwaveShapes(),
+    legend: { orientation: 'h', x: 0, y: -0.3 }, // 👈 move legend slightly lower if needed
+    margin: { t: 60, b: 120 } // 👈 add more bottom space
+  };
+}
 
-    const layout = {
-      title: "NASA POWER: NYC Temperature (°C)",
-      paper_bgcolor: "#0b0c10",
-      plot_bgcolor: "#0b0c10",
-      font: { color: "#d1f0ff", family: "Orbitron" },
-      xaxis: {
-        title: { text: "Date / Category", standoff: 30 }, // 👈 pushes label further down
-        automargin: true
-      },
-      yaxis: { title: "Temperature (°C)", automargin: true },
-      yaxis2: {
-        title: "Map metrics (see units)",
-        overlaying: 'y',
-        side: 'right',
-        automargin: true
-      },
-      legend: { orientation: 'h', x: 0, y: -0.3 }, // 👈 move legend slightly lower if needed
-      margin: { t: 60, b: 120 } // 👈 add more bottom space
-    };
-    
+// (re)draw the whole chart for the current POWER selection; bars are refilled afterwards.
+// NYC_CENTER keeps the per-parameter colors; compared locations get one color each, with
+// the line dash telling the parameters apart.
+async function renderChart(){
+  const seq = ++chartRenderSeq;
+  const query = snapshotPowerQuery();
+  const locations = chartPowerLocations();
+  const [nasa, heatSeries, ...others] = await Promise.all([
+    getNasaPowerDataForNYC(query),
+    fetchHeatwaveSeries(query),
+    ...locations.map(loc => fetchPowerPoint(loc.lat, loc.lon, query)
+      .then(payload => readPowerSeries(payload, query.parameters))
+      .catch(err => { if (!isAbortError(err)) console.error('NASA POWER fetch failed', loc.name, err); return { dates:[], series:{} }; }))
+  ]);
+  const agg = await computeAggregates();
+  if (seq !== chartRenderSeq || query.version !== powerQuery.version) return; // a newer render is already on its way
+  updateHeatwaves(heatSeries);
+
+  const lines = query.parameters.map(key => {
+    const p = POWER_PARAMETERS[key] ?? { label:key, unit:'', color:'#d1f0ff' };
+    return { uid:`power-nyc-${key}`, x: nasa.dates, y: nasa.series[key] ?? [], type:'scatter', name:`${p.label} (${p.unit})`, line:{ color: p.color }, yaxis: 'y' };
+  });
+  locations.forEach((loc, i) => query.parameters.forEach((key, k) => {
+    const p = POWER_PARAMETERS[key] ?? { label:key, unit:'' };
+    lines.push({ uid:`power-${loc.lat},${loc.lon}-${key}`, x: others[i].dates, y: others[i].series[key] ?? [], type:'scatter', name:`${loc.name} · ${p.label}`, line:{ color: loc.color, dash: POWER_PARAM_DASHES[k % POWER_PARAM_DASHES.length], width: loc === powerPreviewLocation ? 1.5 : 2 }, yaxis: 'y' });
+  }));
+  const bars = LAYER_DEFS.map(def => {
+    const bar = metricBar(def, agg[def.id]);
+    const visible = layerState[def.id].toggleEl ? layerState[def.id].toggleEl.checked : def.checked;
+    return { uid: metricTraceId(def), x: [def.metric.category], y: [bar.y], type:'bar', name: bar.name, marker:{ color: def.color }, text: [bar.text], textposition:'auto', hovertemplate:`${bar.name}: %{text}<extra></extra>`, yaxis: 'y2', visible };
+  });
 
-    Plotly.newPlot('chart', traces, layout, { responsive: true });
-    chartReady = true;
-    updateAllAggregatesAndChart();
+  await Plotly.react('chart', [...lines, ...bars], buildChartLayout(query), { responsive: true });
+  chartReady = true;
+  updateAllAggregatesAndChart();
+  dbg('Chart rendered', query);
+}
+
+async function initCharts(){
+  try {
+    wirePowerControls();
+    wireChartMetricControls();
+    wirePowerLocationClicks();
+    wireHeatwaveControls();
+    await renderChart();
     dbg('Chart initialized');
   } catch(err){ console.error('initCharts failed', err); }
 }
 
 // ---------- INIT: load layers & wire UI ----------
 async function initNYCLayers(){
-  await Promise.all([ loadWasteLayer(), loadFoodLayer(), loadHeatLayer() ]);
+  const permalink = readPermalink();
+  initSourceHealth();
+  startPipelineWorker();
+  renderLayerToggles();
+  applyPermalinkSettings(permalink);
+  await Promise.all(LAYER_DEFS.map(loadRegisteredLayer));
 
-  toggleFoodEl = document.getElementById('toggleFood');
-  toggleHeatEl = document.getElementById('toggleHeat');
-  toggleWasteEl = document.getElementById('toggleWaste');
   toggleNASARasterEl = document.getElementById('toggleNASARaster');
   toggleNASAGeoEl = document.getElementById('toggleNASAGeo');
+  applyPermalinkToggles(permalink, false);
 
   createIndicatorsControl();
-  createHeatLegend();
-
-  ensureNasaRaster();
-
-  // indicator clicks toggle checkboxes
-  const rowF = document.getElementById('indicator-food');
-  const rowH = document.getElementById('indicator-heat');
-  const rowW = document.getElementById('indicator-waste');
-  if (rowF) rowF.addEventListener('click', ()=>{ if(!toggleFoodEl) return; toggleFoodEl.checked = !toggleFoodEl.checked; toggleFoodEl.dispatchEvent(new Event('change')); });
-  if (rowH) rowH.addEventListener('click', ()=>{ if(!toggleHeatEl) return; toggleHeatEl.checked = !toggleHeatEl.checked; toggleHeatEl.dispatchEvent(new Event('change')); });
-  if (rowW) rowW.addEventListener('click', ()=>{ if(!toggleWasteEl) return; toggleWasteEl.checked = !toggleWasteEl.checked; toggleWasteEl.dispatchEvent(new Event('change')); });
+  createSearchControl();
+  createLayerLegends();
+  initDrawTools();
+
+  wireGibsControls();
+  wireEquityControls();
+  wireFoodDesertControls();
+  wireTempSurfaceControls();
+  wireFilterControls();
+  wireWasteBufferControls();
+  wireExportControls();
+  wireSocrataControls();
+  wireCacheControls();
+
+  const viewportEl = document.getElementById('toggleViewportStats');
+  if (viewportEl){
+    viewportStats = viewportEl.checked;
+    viewportEl.addEventListener('change', e => { viewportStats = e.target.checked; updateAllAggregatesAndChart(); });
+  }
+  map.on('moveend', () => { if (viewportStats) updateAllAggregatesAndChart(); }); // zooming fires moveend too
 
   const safeAdd = l => { if (l && !map.hasLayer(l)) map.addLayer(l); };
   const safeRemove = l => { if (l && map.hasLayer(l)) map.removeLayer(l); };
 
-  if (toggleFoodEl) toggleFoodEl.addEventListener('change', e => { e.target.checked ? safeAdd(foodLayer) : safeRemove(foodLayer); updateAllAggregatesAndChart(); toggleChartTraceVisibility(3, e.target.checked); });
-  if (toggleHeatEl) toggleHeatEl.addEventListener('change', e => { e.target.checked ? safeAdd(heatLayer) : safeRemove(heatLayer); updateAllAggregatesAndChart(); toggleChartTraceVisibility(2, e.target.checked); });
-  if (toggleWasteEl) toggleWasteEl.addEventListener('change', e => { e.target.checked ? safeAdd(wasteLayer) : safeRemove(wasteLayer); updateAllAggregatesAndChart(); toggleChartTraceVisibility(4, e.target.checked); });
+  LAYER_DEFS.forEach(def => {
+    const state = layerState[def.id];
+    const toggleEl = state.toggleEl;
+    if (!toggleEl) return;
+    // indicator clicks toggle checkboxes
+    const row = document.getElementById(`indicator-${def.id}`);
+    if (row) row.addEventListener('click', ()=>{ toggleEl.checked = !toggleEl.checked; toggleEl.dispatchEvent(new Event('change')); });
+    toggleEl.addEventListener('change', e => {
+      e.target.checked ? safeAdd(state.layer) : safeRemove(state.layer);
+      updateAllAggregatesAndChart();
+      toggleChartTraceVisibility(metricTraceId(def), e.target.checked);
+    });
+  });
 
   if (toggleNASARasterEl) toggleNASARasterEl.addEventListener('change', e => {
     if (e.target.checked) {
       ensureNasaRaster();
-      // clamp zoom to native if map currently higher than native tiles
-      if (map.getZoom() > 9) {
-        dbg('Map zoom > 9; setting to 9 so NASA tiles (maxNativeZoom=9) display correctly');
-        map.setZoom(9);
-      }
+      clampZoomToGibsLevel();
       safeAdd(nasaRasterLayer);
-    } else safeRemove(nasaRasterLayer);
+    } else { stopGibsAnimation(); safeRemove(nasaRasterLayer); }
   });
 
   if (toggleNASAGeoEl) toggleNASAGeoEl.addEventListener('change', async e => {
@@ -590,16 +3458,20 @@ async function initNYCLayers(){
     } else if (nasaPowerPointsLayer) safeRemove(nasaPowerPointsLayer);
   });
 
-  if (toggleFoodEl?.checked) safeAdd(foodLayer);
-  if (toggleHeatEl?.checked) safeAdd(heatLayer);
-  if (toggleWasteEl?.checked) safeAdd(wasteLayer);
+  LAYER_DEFS.forEach(def => { if (layerState[def.id].toggleEl?.checked) safeAdd(layerState[def.id].layer); });
   if (toggleNASARasterEl?.checked) { ensureNasaRaster(); safeAdd(nasaRasterLayer); }
   if (toggleNASAGeoEl?.checked) { await loadNasaPowerPoints(); safeAdd(nasaPowerPointsLayer); }
 
-  const present = [foodLayer, heatLayer, wasteLayer, nasaPowerPointsLayer].filter(l => l && l.getLayers && l.getLayers().length > 0);
-  if (present.length){
-    try { const group = L.featureGroup(present); map.fitBounds(group.getBounds(), { padding:[20,20] }); } catch(e){ wrn('fitBounds failed', e); }
+  // a shared link restores its exact view; otherwise frame everything that is shown
+  if (permalink?.view) map.setView(permalink.view.center, permalink.view.zoom);
+  else {
+    const latlngs = LAYER_DEFS.filter(def => layerState[def.id].toggleEl?.checked).flatMap(def => layerState[def.id].points.map(p => [p.lat, p.lon]));
+    if (toggleNASAGeoEl?.checked) NYC_POWER_POINTS.forEach(p => latlngs.push([p.lat, p.lon]));
+    if (latlngs.length){
+      try { map.fitBounds(L.latLngBounds(latlngs), { padding:[20,20] }); } catch(e){ wrn('fitBounds failed', e); }
+    }
   }
+  wirePermalink();
 
   updateIndicators();
   dbg('initNYCLayers done');
@@ -0,0 +1,519 @@
+// Shared by app.js and the processing worker. index.html loads this file before app.js (helpers +
+// the inline fallback); `new Worker('pipeline.js')` runs the same file as the worker, where only
+// PIPELINE_TASKS are used. Nothing here may touch the DOM, Leaflet or app.js state.
+
+// ---------- HELPERS ----------
+// linear-interpolated percentile of an ascending array; null when empty
+function percentile(sorted, p){
+  if (!sorted.length) return null;
+  const x = (sorted.length - 1)*p/100, k = Math.floor(x);
+  return k + 1 < sorted.length ? sorted[k] + (x - k)*(sorted[k+1] - sorted[k]) : sorted[k];
+}
+
+function parseGeom(m){
+  if (!m) return null;
+  if (typeof m === 'object') return m;
+  if (typeof m === 'string'){
+    try { return JSON.parse(m); } catch(e){ /* not JSON */ return null; }
+  }
+  return null;
+}
+
+function extractFirstCoordArray(obj){
+  if (!obj) return null;
+  if (Array.isArray(obj)) {
+    if (obj.length >= 2 && typeof obj[0] === 'number' && typeof obj[1] === 'number') return [obj[0], obj[1]];
+    for (const c of obj){
+      const f = extractFirstCoordArray(c);
+      if (f) return f;
+    }
+    return null;
+  } else if (typeof obj === 'object') {
+    for (const k of Object.keys(obj)){
+      const f = extractFirstCoordArray(obj[k]);
+      if (f) return f;
+    }
+    return null;
+  }
+  return null;
+}
+
+// ---------- GEOMETRY ----------
+// Planar math on [lng, lat] — accurate enough at city scale. Rings may be closed or open;
+// helpers return [lat, lng] like the Leaflet API.
+
+function isLngLat(c){ return Array.isArray(c) && c.length >= 2 && isFinite(c[0]) && isFinite(c[1]); }
+
+function cleanRing(ring){
+  const pts = (ring || []).filter(isLngLat);
+  if (pts.length > 1){
+    const [f, l] = [pts[0], pts[pts.length - 1]];
+    if (f[0] === l[0] && f[1] === l[1]) pts.pop(); // drop the closing vertex
+  }
+  return pts;
+}
+
+function averageLngLat(coordsArray){
+  const pts = cleanRing(coordsArray);
+  if (!pts.length) return null;
+  let sx=0, sy=0;
+  for (const [lng, lat] of pts){ sx += lng; sy += lat; }
+  return [sy/pts.length, sx/pts.length]; // [lat, lng]
+}
+
+// shoelace area + centroid, relative to the first vertex to keep precision
+function ringAreaCentroid(ring){
+  const pts = cleanRing(ring);
+  if (pts.length < 3) return { area: 0, x: NaN, y: NaN };
+  const [ox, oy] = pts[0];
+  let a = 0, cx = 0, cy = 0;
+  for (let i = 0; i < pts.length; i++){
+    const x0 = pts[i][0] - ox, y0 = pts[i][1] - oy;
+    const x1 = pts[(i+1) % pts.length][0] - ox, y1 = pts[(i+1) % pts.length][1] - oy;
+    const cross = x0*y1 - x1*y0;
+    a += cross; cx += (x0 + x1)*cross; cy += (y0 + y1)*cross;
+  }
+  if (!a) return { area: 0, x: NaN, y: NaN };
+  return { area: Math.abs(a/2), x: ox + cx/(3*a), y: oy + cy/(3*a) };
+}
+
+// outer ring minus holes -> { area, x, y }
+function polygonAreaCentroid(rings){
+  let area = 0, sx = 0, sy = 0;
+  (rings || []).forEach((ring, i) => {
+    const r = ringAreaCentroid(ring);
+    if (!r.area) return;
+    const w = i === 0 ? r.area : -r.area;
+    area += w; sx += w*r.x; sy += w*r.y;
+  });
+  return area > 0 ? { area, x: sx/area, y: sy/area } : { area: 0, x: NaN, y: NaN };
+}
+
+// every polygon (array of rings) in a geometry, including MultiPolygon parts and collections
+function collectPolygons(geom, out = []){
+  if (!geom) return out;
+  if (geom.type === 'Polygon' && Array.isArray(geom.coordinates)) out.push(geom.coordinates);
+  else if (geom.type === 'MultiPolygon' && Array.isArray(geom.coordinates)) geom.coordinates.forEach(p => { if (Array.isArray(p)) out.push(p); });
+  else if (geom.type === 'GeometryCollection' && Array.isArray(geom.geometries)) geom.geometries.forEach(g => collectPolygons(g, out));
+  return out;
+}
+
+function collectPoints(geom, out = []){
+  if (!geom) return out;
+  if (geom.type === 'Point' && isLngLat(geom.coordinates)) out.push(geom.coordinates);
+  else if (geom.type === 'MultiPoint' && Array.isArray(geom.coordinates)) geom.coordinates.filter(isLngLat).forEach(c => out.push(c));
+  else if (geom.type === 'GeometryCollection' && Array.isArray(geom.geometries)) geom.geometries.forEach(g => collectPoints(g, out));
+  return out;
+}
+
+// even-odd test across all rings, so points inside holes are outside
+function pointInRings(lng, lat, rings){
+  let inside = false;
+  for (const ring of rings || []){
+    const pts = cleanRing(ring);
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++){
+      const [xi, yi] = pts[i], [xj, yj] = pts[j];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi)*(lat - yi)/(yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInGeometry(lng, lat, geom){
+  return collectPolygons(geom).some(rings => pointInRings(lng, lat, rings));
+}
+
+function getFeatureGeometry(feature){
+  if (!feature) return null;
+  return parseGeom(feature.geometry ?? feature.the_geom ?? null);
+}
+
+// area-weighted centroid over every polygon part (holes subtracted); points are averaged
+function geometryCentroid(geom){
+  if (!geom) return null;
+  const polys = collectPolygons(geom);
+  if (polys.length){
+    let area = 0, sx = 0, sy = 0;
+    for (const rings of polys){
+      const c = polygonAreaCentroid(rings);
+      if (!c.area) continue;
+      area += c.area; sx += c.area*c.x; sy += c.area*c.y;
+    }
+    if (area > 0) return [sy/area, sx/area];
+    // degenerate (zero-area) polygons: fall back to the vertex average
+    return averageLngLat([].concat(...polys.map(rings => cleanRing(rings[0]))));
+  }
+  const pts = collectPoints(geom);
+  if (pts.length) return averageLngLat(pts);
+  const first = extractFirstCoordArray(geom);
+  return isLngLat(first) ? [first[1], first[0]] : null;
+}
+
+// a point guaranteed inside the largest polygon part: midpoint of the widest
+// horizontal span through that part's centroid latitude (bbox middle as a fallback)
+function geometryPointOnSurface(geom){
+  const polys = collectPolygons(geom);
+  if (!polys.length) return geometryCentroid(geom);
+  let best = null;
+  for (const rings of polys){
+    const c = polygonAreaCentroid(rings);
+    if (!best || c.area > best.c.area) best = { rings, c };
+  }
+  const outer = cleanRing(best.rings[0]);
+  if (!outer.length) return geometryCentroid(geom);
+  const lats = outer.map(p => p[1]);
+  const scanLats = [best.c.y, (Math.min(...lats) + Math.max(...lats))/2].filter(isFinite);
+  for (const lat of scanLats){
+    const xs = [];
+    for (const ring of best.rings){
+      const pts = cleanRing(ring);
+      for (let i = 0, j = pts.length - 1; i < pts.length; j = i++){
+        const [xi, yi] = pts[i], [xj, yj] = pts[j];
+        if ((yi > lat) !== (yj > lat)) xs.push((xj - xi)*(lat - yi)/(yj - yi) + xi);
+      }
+    }
+    xs.sort((a,b) => a - b);
+    let span = null;
+    for (let i = 0; i + 1 < xs.length; i += 2){
+      if (!span || xs[i+1] - xs[i] > span[1] - span[0]) span = [xs[i], xs[i+1]];
+    }
+    if (span && span[1] > span[0]) return [lat, (span[0] + span[1])/2];
+  }
+  return [outer[0][1], outer[0][0]];
+}
+
+function haversineMiles(lat1, lon1, lat2, lon2){
+  const R = 3958.8, toRad = Math.PI/180;
+  const dLat = (lat2 - lat1)*toRad, dLon = (lon2 - lon1)*toRad;
+  const a = Math.sin(dLat/2)**2 + Math.cos(lat1*toRad)*Math.cos(lat2*toRad)*Math.sin(dLon/2)**2;
+  return 2*R*Math.asin(Math.sqrt(a));
+}
+
+// bucket points on a lat/lng grid so nearest-neighbour lookups only scan nearby cells
+function buildPointIndex(points, cellDeg){
+  const buckets = new Map();
+  points.forEach(p => {
+    if (!isFinite(p.lat) || !isFinite(p.lon)) return;
+    const key = `${Math.floor(p.lat/cellDeg)}:${Math.floor(p.lon/cellDeg)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(p);
+  });
+  return { cellDeg, buckets };
+}
+
+// -> { point, miles } for the closest indexed point within maxMiles (else miles = Infinity)
+function nearestIndexedPoint(index, lat, lon, maxMiles = Infinity){
+  let best = { point: null, miles: Infinity };
+  if (!index.buckets.size) return best;
+  const ci = Math.floor(lat/index.cellDeg), cj = Math.floor(lon/index.cellDeg);
+  // one cell in longitude is the shorter side, so it bounds the distance to any unscanned ring
+  const ringMiles = index.cellDeg * 69.17 * Math.cos(lat*Math.PI/180);
+  const maxRings = isFinite(maxMiles) ? Math.ceil(maxMiles/ringMiles) + 1 : 1000;
+  const scan = (i, j) => {
+    for (const p of index.buckets.get(`${i}:${j}`) || []){
+      const d = haversineMiles(lat, lon, p.lat, p.lon);
+      if (d < best.miles && d <= maxMiles) best = { point: p, miles: d };
+    }
+  };
+  for (let r = 0; r <= maxRings; r++){
+    if (r === 0) scan(ci, cj);
+    // walk only the perimeter of ring r
+    for (let k = -r; k <= r && r > 0; k++){
+      scan(ci - r, cj + k); scan(ci + r, cj + k);
+      if (Math.abs(k) !== r) { scan(ci + k, cj - r); scan(ci + k, cj + r); }
+    }
+    if (best.miles <= r * ringMiles) break;
+  }
+  return best;
+}
+
+// every indexed point within maxMiles -> [{ point, miles }]
+function indexedPointsWithin(index, lat, lon, maxMiles){
+  const out = [];
+  const ci = Math.floor(lat/index.cellDeg), cj = Math.floor(lon/index.cellDeg);
+  const rings = Math.ceil(maxMiles / (index.cellDeg * 69.17 * Math.cos(lat*Math.PI/180))) + 1;
+  for (let i = ci - rings; i <= ci + rings; i++){
+    for (let j = cj - rings; j <= cj + rings; j++){
+      for (const p of index.buckets.get(`${i}:${j}`) || []){
+        const d = haversineMiles(lat, lon, p.lat, p.lon);
+        if (d <= maxMiles) out.push({ point: p, miles: d });
+      }
+    }
+  }
+  return out;
+}
+
+// true when any part of the polygon lies within `meters` of the point
+function geometryWithinMeters(geom, lat, lon, meters){
+  if (pointInGeometry(lon, lat, geom)) return true;
+  const kx = 111320 * Math.cos(lat*Math.PI/180), ky = 110540;
+  const toXY = ([x, y]) => [(x - lon)*kx, (y - lat)*ky];
+  for (const rings of collectPolygons(geom)){
+    for (const ring of rings){
+      const pts = cleanRing(ring).map(toXY);
+      for (let i = 0, j = pts.length - 1; i < pts.length; j = i++){
+        const [ax, ay] = pts[j], [bx, by] = pts[i];
+        const dx = bx - ax, dy = by - ay;
+        const len2 = dx*dx + dy*dy;
+        const t = len2 ? Math.max(0, Math.min(1, -(ax*dx + ay*dy)/len2)) : 0;
+        if (Math.hypot(ax + t*dx, ay + t*dy) <= meters) return true;
+      }
+    }
+  }
+  return false;
+}
+
+// approximate km² (equirectangular scaling at each polygon's centroid latitude)
+function geometryAreaKm2(geom){
+  const KM_PER_DEG = 111.32;
+  return collectPolygons(geom).reduce((acc, rings) => {
+    const c = polygonAreaCentroid(rings);
+    return c.area ? acc + c.area * KM_PER_DEG * KM_PER_DEG * Math.cos(c.y * Math.PI/180) : acc;
+  }, 0);
+}
+
+function getFeatureCentroid(feature){
+  return geometryCentroid(getFeatureGeometry(feature));
+}
+
+// marker position: the centroid, moved onto the surface when it falls outside the polygon
+// (L-shapes, multi-part zones, holes)
+function getFeatureAnchor(feature){
+  const geom = getFeatureGeometry(feature);
+  const c = geometryCentroid(geom);
+  if (!c || !collectPolygons(geom).length) return c;
+  return pointInGeometry(c[1], c[0], geom) ? c : geometryPointOnSurface(geom);
+}
+
+// ---------- FEATURES ----------
+function readField(props, candidates){
+  if (!props) return null;
+  for (const k of candidates){
+    if (props[k] !== undefined && props[k] !== null) return props[k];
+  }
+  return null;
+}
+
+function toMetricNumber(v){
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return isNaN(n) ? null : n;
+}
+
+// parse the geometry and copy mapped fields (see layerFieldMap in app.js) onto canonical property names;
+// `spec` only needs geometryFields, so a layer def or its pipelineSpec both work
+function normalizeFeature(spec, f, fieldMap){
+  const g = parseGeom(readField(f, spec.geometryFields));
+  if (!g) return null;
+  const props = Object.assign({}, f.properties ?? f);
+  for (const [key, candidates] of Object.entries(fieldMap)) props[key] = readField(props, candidates);
+  return { type:'Feature', properties: props, geometry: g };
+}
+
+// ---------- JOINS & AGGREGATES ----------
+function geometryBBox(geom){
+  const bb = [Infinity, Infinity, -Infinity, -Infinity];
+  collectPolygons(geom).forEach(rings => cleanRing(rings[0]).forEach(([x, y]) => {
+    if (x < bb[0]) bb[0] = x; if (y < bb[1]) bb[1] = y;
+    if (x > bb[2]) bb[2] = x; if (y > bb[3]) bb[3] = y;
+  }));
+  return bb;
+}
+
+function summarizeValues(values){
+  const vals = values.filter(v => v !== null && v !== undefined && !isNaN(v)).sort((a,b) => a - b);
+  if (!vals.length) return { n: 0, mean: null, median: null, min: null, max: null, sum: 0 };
+  const sum = vals.reduce((a,b)=>a+b,0);
+  const mid = Math.floor(vals.length/2);
+  const median = vals.length % 2 ? vals[mid] : (vals[mid-1] + vals[mid])/2;
+  return { n: vals.length, mean: sum/vals.length, median, min: vals[0], max: vals[vals.length-1], sum };
+}
+
+// assigns each point to the first polygon containing it -> array (per polygon) of points
+function joinPointsToPolygons(polygonFeatures, points){
+  const boxes = polygonFeatures.map(f => geometryBBox(f.geometry));
+  const buckets = polygonFeatures.map(() => []);
+  for (const p of points){
+    for (let i = 0; i < polygonFeatures.length; i++){
+      const bb = boxes[i];
+      if (p.lon < bb[0] || p.lon > bb[2] || p.lat < bb[1] || p.lat > bb[3]) continue;
+      if (pointInGeometry(p.lon, p.lat, polygonFeatures[i].geometry)) { buckets[i].push(p); break; }
+    }
+  }
+  return buckets;
+}
+
+// inverse-distance weighting; a sample closer than ~5 m is returned as-is
+function idwValue(samples, lat, lon, power){
+  let num = 0, den = 0;
+  for (const s of samples){
+    const d = haversineMiles(lat, lon, s.lat, s.lon);
+    if (d < 0.003) return s.value;
+    const w = 1/Math.pow(d, power);
+    num += w*s.value; den += w;
+  }
+  return den ? num/den : NaN;
+}
+
+// zone (index into polygons) of every [lon, lat] cell, -1 outside all of them; tick() per cell
+function zoneCells(cells, polygons, tick){
+  const boxes = polygons.map(geometryBBox);
+  return cells.map(([lon, lat]) => {
+    tick();
+    for (let z = 0; z < polygons.length; z++){
+      const bb = boxes[z];
+      if (lon < bb[0] || lon > bb[2] || lat < bb[1] || lat > bb[3]) continue;
+      if (pointInGeometry(lon, lat, polygons[z])) return z;
+    }
+    return -1;
+  });
+}
+
+// drawn region test; shape is { circle: { lat, lon, meters } } or { geometry }
+function regionContains(shape, lat, lon){
+  if (shape.circle) return haversineMiles(shape.circle.lat, shape.circle.lon, lat, lon)*1609.344 <= shape.circle.meters;
+  return pointInGeometry(lon, lat, shape.geometry);
+}
+
+// value of each CHART_AGGREGATIONS entry over ascending values; count is every aggregated point
+const AGGREGATE_VALUES = {
+  count:  (vals, count) => count,
+  mean:   vals => vals.length ? vals.reduce((a,b)=>a+b,0)/vals.length : null,
+  median: vals => percentile(vals, 50),
+  sum:    vals => vals.length ? vals.reduce((a,b)=>a+b,0) : null,
+  p90:    vals => percentile(vals, 90)
+};
+
+// ---------- PIPELINE TASKS ----------
+// task(payload, progress(done, total)) -> result; payloads and results are plain (structured-cloneable) data
+const PIPELINE_PROGRESS_EVERY = 500;
+
+const PIPELINE_TASKS = {
+  // raw Socrata/GeoJSON features -> normalized features, metric points and skipped records
+  //   spec: { id, geometryFields, anchor, metricField }
+  //   -> { features, sourceIndex (per feature, into raw), points: [{ feature, name, lat, lon, value }], skipped: [{ index, issue }] }
+  normalize({ spec, raw, fieldMap }, progress){
+    const total = 2*raw.length;
+    let done = 0;
+    const tick = () => { if (++done % PIPELINE_PROGRESS_EVERY === 0) progress(done, total); };
+    const features = [], sourceIndex = [], points = [], skipped = [];
+    raw.forEach((f, i) => {
+      const n = normalizeFeature(spec, f, fieldMap);
+      if (n) { features.push(n); sourceIndex.push(i); }
+      else skipped.push({ index: i, issue: 'missing geometry' });
+      tick();
+    });
+    features.forEach((f, i) => {
+      const c = spec.anchor === 'centroid' ? getFeatureCentroid(f) : getFeatureAnchor(f);
+      if (c) points.push({ feature: i, name: f.properties.name ?? `${spec.id}-${i}`, lat: c[0], lon: c[1], value: toMetricNumber(f.properties[spec.metricField]) });
+      else skipped.push({ index: sourceIndex[i], issue: 'no usable coordinates' });
+      tick();
+    });
+    progress(total, total);
+    return { features, sourceIndex, points, skipped };
+  },
+
+  // point-in-polygon join -> per polygon { count, stats (summarizeValues) }
+  //   polygons: [geometry], points: [[lon, lat, value]]
+  join({ polygons, points }, progress){
+    const buckets = joinPointsToPolygons(polygons.map(geometry => ({ geometry })), points.map(([lon, lat, value]) => ({ lon, lat, value })));
+    progress(polygons.length, polygons.length);
+    return buckets.map(b => ({ count: b.length, stats: summarizeValues(b.map(p => p.value)) }));
+  },
+
+  // food desert grid: zone per cell plus miles to the nearest food point for cells inside a zone
+  // (every cell without zones); farther than maxMiles stays Infinity
+  //   cells: [[lon, lat]], polygons: [geometry], food: [[lat, lon]] -> { zones, miles }
+  desertGrid({ cells, polygons, food, maxMiles }, progress){
+    const total = 2*cells.length;
+    let done = 0;
+    const tick = () => { if (++done % PIPELINE_PROGRESS_EVERY === 0) progress(done, total); };
+    const zones = polygons.length ? zoneCells(cells, polygons, tick) : cells.map(() => { tick(); return 0; });
+    const index = buildPointIndex(food.map(([lat, lon]) => ({ lat, lon })), 0.01);
+    const miles = cells.map(([lon, lat], k) => {
+      tick();
+      return zones[k] >= 0 ? nearestIndexedPoint(index, lat, lon, maxMiles).miles : Infinity;
+    });
+    progress(total, total);
+    return { zones, miles };
+  },
+
+  // IDW surface over the cells inside a zone (every cell without zones); NaN elsewhere
+  //   cells: [[lon, lat]], polygons: [geometry], samples: [{ lat, lon, value }] -> { values }
+  idwGrid({ cells, polygons, samples, power }, progress){
+    const total = 2*cells.length;
+    let done = 0;
+    const tick = () => { if (++done % PIPELINE_PROGRESS_EVERY === 0) progress(done, total); };
+    const zones = polygons.length ? zoneCells(cells, polygons, tick) : cells.map(() => { tick(); return 0; });
+    const values = cells.map(([lon, lat], k) => { tick(); return zones[k] >= 0 ? idwValue(samples, lat, lon, power) : NaN; });
+    progress(total, total);
+    return { values };
+  },
+
+  // per waste facility and radius: food points inside the ring and zones the disc touches
+  //   facilities, food: [[lat, lon]], zones: [geometry], radii: [meters]
+  //   -> per facility, per radius { food: [index into food], zones: [index into zones] }
+  exposure({ facilities, food, zones, radii }, progress){
+    const maxMiles = Math.max(...radii, 0) / 1609.344;
+    const index = buildPointIndex(food.map(([lat, lon], i) => ({ lat, lon, i })), 0.01);
+    const boxes = zones.map(geometryBBox);
+    const degPad = maxMiles * 0.02; // bbox prefilter padding: 0.02° per mile covers lat and lon at NYC latitudes
+    const out = facilities.map(([lat, lon], k) => {
+      const nearFood = indexedPointsWithin(index, lat, lon, maxMiles);
+      const nearZones = zones.map((_, z) => z).filter(z => {
+        const bb = boxes[z];
+        return lon >= bb[0] - degPad && lon <= bb[2] + degPad && lat >= bb[1] - degPad && lat <= bb[3] + degPad;
+      });
+      progress(k, facilities.length); // few facilities, each checked against every nearby zone
+      return radii.map(r => ({
+        food: nearFood.filter(f => f.miles*1609.344 <= r).map(f => f.point.i),
+        zones: nearZones.filter(z => geometryWithinMeters(zones[z], lat, lon, r))
+      }));
+    });
+    progress(facilities.length, facilities.length);
+    return out;
+  },
+
+  // samples × samples grid over bbox: grid points inside the region and how many fall in each zone
+  //   shape: see regionContains, bbox: [w, s, e, n], zones: [geometry] -> { samples, hits: [per zone] }
+  regionSample({ shape, bbox, zones, samples }, progress){
+    const [w, s, e, n] = bbox;
+    const cells = [];
+    for (let i = 0; i < samples; i++){
+      for (let j = 0; j < samples; j++){
+        const lon = w + (i + 0.5)*(e - w)/samples, lat = s + (j + 0.5)*(n - s)/samples;
+        if (regionContains(shape, lat, lon)) cells.push([lon, lat]);
+      }
+    }
+    let done = 0;
+    const hits = zones.map(() => 0);
+    zoneCells(cells, zones, () => { if (++done % PIPELINE_PROGRESS_EVERY === 0) progress(done, cells.length); })
+      .forEach(z => { if (z >= 0) hits[z]++; });
+    progress(cells.length, cells.length);
+    return { samples: cells.length, hits };
+  },
+
+  // groups: { [layer id]: { agg, values, count } } -> { [layer id]: value | null }
+  aggregate({ groups }){
+    const out = {};
+    Object.entries(groups).forEach(([id, g]) => {
+      const vals = g.values.slice().sort((a,b) => a - b);
+      out[id] = AGGREGATE_VALUES[g.agg](vals, g.count);
+    });
+    return out;
+  }
+};
+
+// ---------- WORKER ----------
+// { job, task, payload } in; { job, progress:{ done, total } } while running, then { job, result } or { job, error }
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope){
+  self.onmessage = e => {
+    const { job, task, payload } = e.data;
+    try {
+      const result = PIPELINE_TASKS[task](payload, (done, total) => self.postMessage({ job, progress: { done, total } }));
+      self.postMessage({ job, result });
+    } catch(err){
+      self.postMessage({ job, error: err?.message ?? String(err) });
+    }
+  };
+}
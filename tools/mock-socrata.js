@@ -0,0 +1,186 @@
+// Offline stand-in for the Socrata (SODA) endpoints the dashboard reads.
+//   node tools/mock-socrata.js [port]    then open index.html?socrata=http://localhost:8787
+// Serves synthetic rows for the three LAYER_DEFS datasets:
+//   /resource/<id>.geojson  $select, $where, $order, $limit, $offset
+//   /api/views/<id>.json    column metadata (fieldName + dataTypeName)
+// $where understands AND-joined  col = / != / >= / <= / > / < value,  col in (...),
+// within_box(col, n, w, s, e)  and  intersects(col, 'POLYGON((...))')  (bbox of the polygon).
+// Anything else (OR, functions, unknown columns) is a 400, like a query the real API would reject.
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const BOUNDS = { s: 40.50, n: 40.91, w: -74.25, e: -73.70 };
+const BOROUGHS = [['Manhattan', 'New York'], ['Bronx', 'Bronx'], ['Brooklyn', 'Kings'], ['Queens', 'Queens'], ['Staten Island', 'Richmond']];
+
+// deterministic, so paging and filters give the same answer on every run
+let seed = 42;
+function rand(){ seed = (seed * 1103515245 + 12345) % 2147483648; return seed / 2147483648; }
+function pick(list){ return list[Math.floor(rand() * list.length)]; }
+function randomPoint(){ return [BOUNDS.w + rand() * (BOUNDS.e - BOUNDS.w), BOUNDS.s + rand() * (BOUNDS.n - BOUNDS.s)]; }
+function isoDay(daysAgo){ return new Date(Date.UTC(2024, 0, 1) - daysAgo * 864e5).toISOString().slice(0, 19); }
+
+function pointRow(props, coords, geoColumn){ return { props, geo: { column: geoColumn, geometry: { type: 'Point', coordinates: coords } } }; }
+
+const DATASETS = {
+  // Retail Food Stores: statewide, so some rows fall outside the five NYC counties
+  '9a8c-vfzj': {
+    columns: { businessname: 'text', score: 'number', county: 'text', type: 'text', inspected: 'calendar_date', georeference: 'point' },
+    rows: Array.from({ length: 12000 }, (_, i) => pointRow({
+      businessname: `${pick(['Corner', 'Fresh', 'City', 'Green', 'Family'])} ${pick(['Market', 'Deli', 'Grocery', 'Bodega'])} ${i}`,
+      score: String(Math.round(rand() * 40) / 4),
+      county: i % 10 === 9 ? pick(['Albany', 'Erie', 'Westchester']) : pick(BOROUGHS)[1],
+      type: pick(['Store', 'Supermarket', 'Bakery']),
+      inspected: isoDay(Math.floor(rand() * 900))
+    }, randomPoint(), 'georeference'))
+  },
+  // DSNY waste transfer stations
+  '8znf-7b2c': {
+    columns: { facility: 'text', tons_per_day: 'number', borough: 'text', description: 'text', permitted: 'calendar_date', the_geom: 'point' },
+    rows: Array.from({ length: 300 }, (_, i) => pointRow({
+      facility: `Transfer Station ${i}`,
+      tons_per_day: String(Math.round(50 + rand() * 2000)),
+      borough: pick(BOROUGHS)[0],
+      description: pick(['Putrescible', 'Recycling', 'Construction & demolition']),
+      permitted: isoDay(Math.floor(rand() * 3000))
+    }, randomPoint(), 'the_geom'))
+  },
+  // Heat Vulnerability Index: a 20 x 10 grid of square "neighborhoods"
+  '4mhf-duep': {
+    columns: { neighborhood: 'text', hvi: 'number', borough: 'text', the_geom: 'multipolygon' },
+    rows: Array.from({ length: 200 }, (_, i) => {
+      const dx = (BOUNDS.e - BOUNDS.w) / 20, dy = (BOUNDS.n - BOUNDS.s) / 10;
+      const x = BOUNDS.w + (i % 20) * dx, y = BOUNDS.s + Math.floor(i / 20) * dy;
+      return {
+        props: { neighborhood: `Neighborhood ${i}`, hvi: String(1 + Math.floor(rand() * 5)), borough: pick(BOROUGHS)[0] },
+        geo: { column: 'the_geom', geometry: { type: 'MultiPolygon', coordinates: [[[[x, y], [x + dx, y], [x + dx, y + dy], [x, y + dy], [x, y]]]] } }
+      };
+    })
+  }
+};
+Object.values(DATASETS).forEach(ds => ds.rows.forEach((row, i) => { row.id = i; }));
+
+class QueryError extends Error {}
+
+// ---------- $where ----------
+function parseLiteral(text){
+  text = text.trim();
+  if (/^'.*'$/s.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  throw new QueryError(`unsupported literal: ${text}`);
+}
+
+// split on AND outside quotes/parentheses
+function splitAnd(where){
+  const parts = [];
+  let depth = 0, quoted = false, start = 0;
+  for (let i = 0; i < where.length; i++){
+    const ch = where[i];
+    if (ch === "'") quoted = !quoted;
+    else if (!quoted && ch === '(') depth++;
+    else if (!quoted && ch === ')') depth--;
+    else if (!quoted && !depth && /^\sAND\s/i.test(where.slice(i, i + 5))){ parts.push(where.slice(start, i)); start = i + 5; i += 4; }
+    else if (!quoted && !depth && /^\sOR\s/i.test(where.slice(i, i + 4))) throw new QueryError('OR is not supported by the mock');
+  }
+  parts.push(where.slice(start));
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+function bboxOf(geometry){
+  const flat = JSON.stringify(geometry.coordinates).match(/-?\d+(\.\d+)?(e-?\d+)?/g).map(Number);
+  const xs = flat.filter((_, i) => i % 2 === 0), ys = flat.filter((_, i) => i % 2 === 1);
+  return { w: Math.min(...xs), e: Math.max(...xs), s: Math.min(...ys), n: Math.max(...ys) };
+}
+function boxesOverlap(a, b){ return a.w <= b.e && a.e >= b.w && a.s <= b.n && a.n >= b.s; }
+
+function compileClause(clause, ds){
+  const known = col => { if (!(col in ds.columns)) throw new QueryError(`no such column: ${col}`); return col; };
+  let m = clause.match(/^within_box\(\s*(\w+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*\)$/i);
+  if (m){
+    const col = known(m[1]), box = { n: +m[2], w: +m[3], s: +m[4], e: +m[5] };
+    return row => row.geo.column === col && boxesOverlap(bboxOf(row.geo.geometry), box);
+  }
+  m = clause.match(/^intersects\(\s*(\w+)\s*,\s*'POLYGON\s*\(\((.+)\)\)'\s*\)$/i);
+  if (m){
+    const col = known(m[1]);
+    const ring = m[2].split(',').map(pair => pair.trim().split(/\s+/).map(Number));
+    const box = bboxOf({ coordinates: ring });
+    return row => row.geo.column === col && boxesOverlap(bboxOf(row.geo.geometry), box);
+  }
+  m = clause.match(/^(\w+)\s+in\s*\((.*)\)$/is);
+  if (m){
+    const col = known(m[1]);
+    const values = m[2].match(/'(?:[^']|'')*'|[^,\s]+/g).map(parseLiteral).map(String);
+    return row => values.includes(String(row.props[col]));
+  }
+  m = clause.match(/^(\w+)\s*(>=|<=|!=|=|>|<)\s*(.+)$/s);
+  if (m){
+    const col = known(m[1]), op = m[2], value = parseLiteral(m[3]);
+    const numeric = ds.columns[col] === 'number';
+    const cmp = v => {
+      if (v === undefined || v === null || v === '') return null;
+      if (numeric) return Number(v) - Number(value);
+      return String(v) < String(value) ? -1 : String(v) > String(value) ? 1 : 0;
+    };
+    return row => {
+      const c = cmp(row.props[col]);
+      if (c === null) return false;
+      return { '=': c === 0, '!=': c !== 0, '>=': c >= 0, '<=': c <= 0, '>': c > 0, '<': c < 0 }[op];
+    };
+  }
+  throw new QueryError(`unsupported clause: ${clause}`);
+}
+
+// ---------- /resource ----------
+function runQuery(ds, params){
+  const predicates = params.has('$where') ? splitAnd(params.get('$where')).map(c => compileClause(c, ds)) : [];
+  let rows = ds.rows.filter(row => predicates.every(p => p(row)));
+  const order = params.get('$order');
+  if (order && order !== ':id'){
+    const [col, dir] = order.trim().split(/\s+/);
+    if (!(col in ds.columns)) throw new QueryError(`no such column: ${col}`);
+    const sign = /^desc$/i.test(dir || '') ? -1 : 1;
+    const key = r => ds.columns[col] === 'number' ? Number(r.props[col]) : String(r.props[col] ?? '');
+    rows = rows.slice().sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : a.id - b.id) * sign);
+  }
+  const offset = Number(params.get('$offset') || 0);
+  const limit = Number(params.get('$limit') || 1000); // SODA's default page size
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 0) throw new QueryError('bad $limit/$offset');
+
+  const select = params.has('$select') ? params.get('$select').split(',').map(s => s.trim()).filter(Boolean) : Object.keys(ds.columns);
+  select.forEach(col => { if (!(col in ds.columns)) throw new QueryError(`no such column: ${col}`); });
+  return rows.slice(offset, offset + limit).map(row => ({
+    type: 'Feature',
+    geometry: select.includes(row.geo.column) ? row.geo.geometry : null,
+    properties: Object.fromEntries(select.filter(c => c in row.props).map(c => [c, row.props[c]]))
+  }));
+}
+
+function send(res, status, body){
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  let m = url.pathname.match(/^\/resource\/([\w-]+)\.(geo)?json$/);
+  const ds = m && DATASETS[m[1]];
+  if (m){
+    if (!ds) return send(res, 404, { error: true, message: `dataset ${m[1]} not found` });
+    try {
+      const features = runQuery(ds, url.searchParams);
+      console.log(req.method, url.pathname, url.searchParams.toString(), '->', features.length);
+      return send(res, 200, { type: 'FeatureCollection', features });
+    } catch (err){
+      if (!(err instanceof QueryError)) throw err;
+      console.log(req.method, url.pathname, '400', err.message);
+      return send(res, 400, { error: true, message: err.message });
+    }
+  }
+  m = url.pathname.match(/^\/api\/views\/([\w-]+)\.json$/);
+  if (m && DATASETS[m[1]]){
+    return send(res, 200, { id: m[1], columns: Object.entries(DATASETS[m[1]].columns).map(([fieldName, dataTypeName]) => ({ fieldName, dataTypeName })) });
+  }
+  send(res, 404, { error: true, message: 'not found' });
+});
+
+server.listen(PORT, () => console.log(`mock Socrata on http://localhost:${PORT} (${Object.keys(DATASETS).join(', ')})`));